@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * openapi-snippet command-line tool
+ *
+ * Reads an OpenAPI document (JSON or YAML) from a file or stdin, and writes
+ * code snippets for its endpoints as JSON, as a Markdown document, or as one
+ * file per endpoint and target.
+ *
+ * License: MIT
+ */
+'use strict'
+
+const fs = require('fs')
+const pathUtil = require('path')
+const OpenAPISnippets = require('../index.js')
+const RefResolver = require('../ref-resolver.js')
+
+const USAGE = `Usage: openapi-snippet [options] [file]
+
+Generates code snippets for the endpoints of the OpenAPI document in the given
+JSON or YAML file, or read from stdin if no file (or '-') is given.
+
+Options:
+  -t, --target <targets>   Comma-separated list of targets, e.g., 'shell_curl,node'
+                           (default: shell_curl)
+  -e, --endpoint <method path>
+                           Single endpoint, e.g., 'get /users/{id}'
+  --operation-id <id>      Operation to generate snippets for (repeatable)
+  --tag <tag>              Only endpoints with this tag (repeatable)
+  --exclude-tag <tag>      Skip endpoints with this tag (repeatable)
+  --path <pattern>         Only endpoints whose path matches this glob pattern
+                           (repeatable)
+  --skip-deprecated        Skip deprecated operations
+  --callbacks              Include the callbacks of operations
+  --webhooks               Include webhooks
+  --values <json>          Values for the parameters and the payload of a single
+                           endpoint, as JSON or '@file'
+  --validate               Report invalid, missing and unknown parameter values
+                           as diagnostics of the result
+  --server <server>        Server to use: index, URL or description
+  --placeholders <strategy>
+                           Placeholders for missing values: env (e.g., $API_KEY)
+                           or template (e.g., {{api_key}})
+  --options <json>         Further generation options, as JSON or '@file'
+  -f, --format <format>    Output format: json (default), markdown, files, or
+                           the requests as har (HAR log) or postman (collection)
+  -o, --output <path>      Output file, or directory for the 'files' format
+                           (default: stdout)
+  -h, --help               Show this help
+`
+
+const FORMATS = ['json', 'markdown', 'files', 'har', 'postman']
+
+// formats exporting the requests of the selected endpoints, without snippets:
+const EXPORT_FORMATS = ['har', 'postman']
+const PLACEHOLDERS = ['env', 'template']
+
+// file extensions and Markdown code block languages of HTTP Snippet targets:
+const LANGUAGES = {
+  c: {extension: 'c', markdown: 'c'},
+  clojure: {extension: 'clj', markdown: 'clojure'},
+  csharp: {extension: 'cs', markdown: 'csharp'},
+  go: {extension: 'go', markdown: 'go'},
+  java: {extension: 'java', markdown: 'java'},
+  javascript: {extension: 'js', markdown: 'javascript'},
+  node: {extension: 'js', markdown: 'javascript'},
+  objc: {extension: 'm', markdown: 'objectivec'},
+  ocaml: {extension: 'ml', markdown: 'ocaml'},
+  php: {extension: 'php', markdown: 'php'},
+  powershell: {extension: 'ps1', markdown: 'powershell'},
+  python: {extension: 'py', markdown: 'python'},
+  ruby: {extension: 'rb', markdown: 'ruby'},
+  shell: {extension: 'sh', markdown: 'shell'},
+  swift: {extension: 'swift', markdown: 'swift'}
+}
+
+/**
+ * Parse the given command-line arguments.
+ *
+ * @param  {array} args Command-line arguments, without node and script
+ * @return {object}     Parsed arguments
+ */
+const parseArgs = function (args) {
+  const parsed = {
+    targets: [],
+    operationIds: [],
+    tags: [],
+    excludeTags: [],
+    paths: [],
+    format: 'json'
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    const next = function () {
+      if (i + 1 >= args.length) {
+        throw new Error('Missing value for option: ' + arg)
+      }
+      return args[++i]
+    }
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        parsed.help = true
+        break
+      case '-t':
+      case '--target':
+        parsed.targets = parsed.targets.concat(next().split(',').filter(target => target !== ''))
+        break
+      case '-e':
+      case '--endpoint':
+        parsed.endpoint = next()
+        break
+      case '--operation-id':
+        parsed.operationIds.push(next())
+        break
+      case '--tag':
+        parsed.tags.push(next())
+        break
+      case '--exclude-tag':
+        parsed.excludeTags.push(next())
+        break
+      case '--path':
+        parsed.paths.push(next())
+        break
+      case '--skip-deprecated':
+        parsed.skipDeprecated = true
+        break
+      case '--callbacks':
+        parsed.callbacks = true
+        break
+      case '--webhooks':
+        parsed.webhooks = true
+        break
+      case '--values':
+        parsed.values = next()
+        break
+      case '--validate':
+        parsed.validate = true
+        break
+      case '--server':
+        parsed.server = next()
+        break
+      case '--placeholders':
+        parsed.placeholders = next()
+        break
+      case '--options':
+        parsed.options = next()
+        break
+      case '-f':
+      case '--format':
+        parsed.format = next()
+        break
+      case '-o':
+      case '--output':
+        parsed.output = next()
+        break
+      default:
+        if (arg !== '-' && arg.charAt(0) === '-') {
+          throw new Error('Unknown option: ' + arg)
+        }
+        if (typeof parsed.file !== 'undefined') {
+          throw new Error('Only one OpenAPI document can be given')
+        }
+        parsed.file = arg
+    }
+  }
+
+  if (FORMATS.indexOf(parsed.format) === -1) {
+    throw new Error('Invalid format: ' + parsed.format + ' (use ' + FORMATS.join(', ') + ')')
+  }
+  if (parsed.format === 'files' && typeof parsed.output === 'undefined') {
+    throw new Error('The files format requires an output directory (--output)')
+  }
+  if (EXPORT_FORMATS.indexOf(parsed.format) !== -1 &&
+    (typeof parsed.endpoint !== 'undefined' || typeof parsed.values !== 'undefined')) {
+    throw new Error('The ' + parsed.format + ' format does not support --endpoint and --values')
+  }
+  if (typeof parsed.placeholders !== 'undefined' && PLACEHOLDERS.indexOf(parsed.placeholders) === -1) {
+    throw new Error('Invalid placeholders: ' + parsed.placeholders + ' (use ' + PLACEHOLDERS.join(', ') + ')')
+  }
+  if (parsed.targets.length === 0) {
+    parsed.targets = ['shell_curl']
+  }
+  return parsed
+}
+
+/**
+ * Parse the given JSON argument, or the JSON file it points to if it starts
+ * with '@'.
+ *
+ * @param  {string} value Argument value
+ * @param  {string} name  Name of the option, for error messages
+ * @return {any}
+ */
+const parseJsonArg = function (value, name) {
+  try {
+    if (value.charAt(0) === '@') {
+      return JSON.parse(fs.readFileSync(value.substring(1), 'utf8'))
+    }
+    return JSON.parse(value)
+  } catch (err) {
+    throw new Error('Invalid JSON for ' + name + ': ' + err.message)
+  }
+}
+
+/**
+ * Read and parse the OpenAPI document from the given file, or from stdin.
+ *
+ * @param  {string} file  Path of the file, or undefined / '-' for stdin
+ * @return {object}       OpenAPI document
+ */
+const readDocument = function (file) {
+  let str
+  if (typeof file === 'undefined' || file === '-') {
+    if (process.stdin.isTTY) {
+      throw new Error('No OpenAPI document given')
+    }
+    str = fs.readFileSync(0, 'utf8')
+  } else {
+    str = fs.readFileSync(file, 'utf8')
+  }
+
+  const openApi = RefResolver.parseDocument(str)
+  if (openApi === null || typeof openApi !== 'object') {
+    throw new Error('Invalid OpenAPI document: ' + (file || 'stdin'))
+  }
+  return openApi
+}
+
+/**
+ * Generate the results for the given parsed arguments. Results are always
+ * returned as a list, also for single endpoints. For the har and postman
+ * formats, the HAR document or Postman collection is returned instead.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {object} args    Parsed arguments
+ * @return {array|object}   List of results, see README
+ */
+const generate = function (openApi, args) {
+  const options = typeof args.options !== 'undefined' ? parseJsonArg(args.options, '--options') : {}
+  if (typeof options.baseDir === 'undefined' && typeof args.file !== 'undefined' && args.file !== '-') {
+    options.baseDir = pathUtil.dirname(args.file)
+  }
+  if (typeof args.server !== 'undefined') {
+    options.server = /^\d+$/.test(args.server) ? parseInt(args.server, 10) : args.server
+  }
+  if (typeof args.placeholders !== 'undefined') {
+    options.placeholders = args.placeholders
+  }
+  if (args.validate) {
+    options.validate = true
+  }
+  const values = typeof args.values !== 'undefined' ? parseJsonArg(args.values, '--values') : undefined
+
+  if (typeof args.endpoint !== 'undefined') {
+    const match = /^\s*([a-z]+)\s+(\S+)\s*$/i.exec(args.endpoint)
+    if (!match) {
+      throw new Error('Invalid endpoint: ' + args.endpoint + ' (use \'<method> <path>\')')
+    }
+    return [OpenAPISnippets.getEndpointSnippets(openApi, match[2], match[1].toLowerCase(), args.targets, values, options)]
+  }
+  if (args.operationIds.length === 1 && EXPORT_FORMATS.indexOf(args.format) === -1) {
+    return [OpenAPISnippets.getOperationSnippets(openApi, args.operationIds[0], args.targets, values, options)]
+  }
+  if (typeof values !== 'undefined') {
+    throw new Error('--values requires --endpoint or a single --operation-id')
+  }
+
+  if (args.operationIds.length > 0) options.operationIds = args.operationIds
+  if (args.tags.length > 0) options.includeTags = args.tags
+  if (args.excludeTags.length > 0) options.excludeTags = args.excludeTags
+  if (args.paths.length > 0) options.paths = args.paths
+  if (args.skipDeprecated) options.skipDeprecated = true
+  if (args.callbacks) options.callbacks = true
+  if (args.webhooks) options.webhooks = true
+  delete options.groupByTag
+
+  if (args.format === 'har') {
+    return OpenAPISnippets.getHarLog(openApi, options)
+  }
+  if (args.format === 'postman') {
+    return OpenAPISnippets.getPostmanCollection(openApi, options)
+  }
+  return OpenAPISnippets.getSnippets(openApi, args.targets, options)
+}
+
+/**
+ * Render the given results as a Markdown document, with one fenced code block
+ * per snippet.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {array} results  List of results
+ * @return {string}         Markdown document
+ */
+const toMarkdown = function (openApi, results) {
+  const lines = []
+  if (openApi.info && openApi.info.title) {
+    lines.push('# ' + openApi.info.title, '')
+  }
+
+  for (let i in results) {
+    const result = results[i]
+    lines.push('## ' + (result.summary || result.method + ' ' + getPath(result.url)), '')
+    lines.push('`' + result.method + ' ' + result.url + '`', '')
+    if (result.description && result.description !== 'No description available') {
+      lines.push(result.description, '')
+    }
+    for (let j in result.snippets) {
+      const snippet = result.snippets[j]
+      lines.push('### ' + snippet.title, '')
+      lines.push('```' + getLanguage(snippet.id).markdown, snippet.content, '```', '')
+    }
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Write one file per result and snippet into the given directory. Files are
+ * named after the operationId (or else method and path) and the target.
+ *
+ * @param  {array} results  List of results
+ * @param  {string} dir     Output directory
+ * @return {array}          Paths of the written files
+ */
+const writeFiles = function (results, dir) {
+  fs.mkdirSync(dir, {recursive: true})
+
+  const written = []
+  const usedNames = {}
+  for (let i in results) {
+    const result = results[i]
+    let name = sanitize(result.operationId || result.method.toLowerCase() + '_' + getPath(result.url))
+    if (usedNames[name]) {
+      name += '_' + (++usedNames[name])
+    } else {
+      usedNames[name] = 1
+    }
+
+    for (let j in result.snippets) {
+      const snippet = result.snippets[j]
+      const file = pathUtil.join(dir, name + '.' + sanitize(snippet.id) + '.' + getLanguage(snippet.id).extension)
+      fs.writeFileSync(file, snippet.content + '\n')
+      written.push(file)
+    }
+  }
+  return written
+}
+
+const getLanguage = function (targetId) {
+  return LANGUAGES[targetId.split('_')[0]] || {extension: 'txt', markdown: ''}
+}
+
+const getPath = function (url) {
+  return decodeURIComponent(url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')) || '/'
+}
+
+const sanitize = function (name) {
+  return name.replace(/[^A-Za-z0-9.-]+/g, '_').replace(/^_+|_+$/g, '') || 'root'
+}
+
+/**
+ * Run the command-line tool with the given arguments.
+ *
+ * @param  {array} argv Command-line arguments, without node and script
+ * @return {number}     Exit code
+ */
+const main = function (argv) {
+  try {
+    const args = parseArgs(argv)
+    if (args.help) {
+      process.stdout.write(USAGE)
+      return 0
+    }
+
+    const openApi = readDocument(args.file)
+    const results = generate(openApi, args)
+
+    if (args.format === 'files') {
+      writeFiles(results, args.output)
+      return 0
+    }
+
+    const output = args.format === 'markdown'
+      ? toMarkdown(openApi, results)
+      : JSON.stringify(results, null, 2) + '\n'
+    if (typeof args.output !== 'undefined') {
+      fs.writeFileSync(args.output, output)
+    } else {
+      process.stdout.write(output)
+    }
+    return 0
+  } catch (err) {
+    process.stderr.write('openapi-snippet: ' + err.message + '\n')
+    return 1
+  }
+}
+
+process.exitCode = main(process.argv.slice(2))
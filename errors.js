@@ -0,0 +1,92 @@
+/**
+ * Errors thrown while generating snippets. All of them are instances of
+ * OpenAPISnippetError and carry a 'code' and, if the error stems from a node
+ * of the OpenAPI document, the JSON 'pointer' to that node, e.g.,
+ * '#/paths/~1pets/get/security/0'. Nodes in other files referenced from the
+ * document are pointed to with their location, e.g., 'schemas/pet.yaml#/tag'.
+ *
+ * The errors keep the name 'Error', so that their string representation is
+ * the same as before their introduction.
+ */
+
+class OpenAPISnippetError extends Error {
+  constructor (message, code, pointer) {
+    super(message)
+    this.code = code
+    this.pointer = pointer
+  }
+}
+
+/**
+ * The requested target (language and library) is not supported.
+ */
+class InvalidTargetError extends OpenAPISnippetError {
+  constructor (target) {
+    super('Invalid target: ' + target, 'INVALID_TARGET')
+    this.target = target
+  }
+}
+
+/**
+ * The requested path, method or operationId does not exist.
+ */
+class UnknownEndpointError extends OpenAPISnippetError {
+  constructor (message, pointer) {
+    super(message, 'UNKNOWN_ENDPOINT', pointer)
+  }
+}
+
+/**
+ * A reference ($ref) cannot be resolved.
+ */
+class UnresolvableReferenceError extends OpenAPISnippetError {
+  constructor (ref, pointer) {
+    super('Cannot resolve reference: ' + ref, 'UNRESOLVABLE_REFERENCE', pointer)
+    this.ref = ref
+  }
+}
+
+/**
+ * A security requirement names a security scheme that is not defined.
+ */
+class UnknownSecuritySchemeError extends OpenAPISnippetError {
+  constructor (name, pointer) {
+    super('Unknown security scheme: ' + name, 'UNKNOWN_SECURITY_SCHEME', pointer)
+    this.scheme = name
+  }
+}
+
+/**
+ * No sample value can be created for a schema.
+ */
+class SampleError extends OpenAPISnippetError {
+  constructor (reason, pointer) {
+    super('Cannot create sample: ' + reason, 'SAMPLE_FAILED', pointer)
+  }
+}
+
+/**
+ * Return the warning describing the given error, as reported in the
+ * 'warnings' of results.
+ *
+ * @param  {Error} err      Error
+ * @param  {string} pointer Optional: Pointer to use if the error has none
+ * @return {Object}         Warning with code, message and pointer
+ */
+const toWarning = function (err, pointer) {
+  return {
+    code: err.code || 'ERROR',
+    message: err.message,
+    pointer: err.pointer || pointer
+  }
+}
+
+module.exports = {
+  OpenAPISnippetError,
+  InvalidTargetError,
+  UnknownEndpointError,
+  UnresolvableReferenceError,
+  UnknownSecuritySchemeError,
+  SampleError,
+  toWarning
+}
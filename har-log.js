@@ -0,0 +1,121 @@
+/**
+ * Exports the requests of an OpenAPI document as an HTTP Archive (HAR) 1.2
+ * log, with one entry per endpoint. The response of an entry is the example
+ * of the first success response of the endpoint.
+ * See more:
+ *  - http://www.softwareishard.com/blog/har-12-spec/#log
+ */
+const OpenAPIToHar = require('./openapi-to-har.js')
+const RefResolver = require('./ref-resolver.js')
+const packageInfo = require('./package.json')
+
+/**
+ * Create the HAR log of the endpoints of the given OpenAPI document.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {Object} options Optional: Generation options, e.g., filters
+ * @return {Object}         HAR document, with the log
+ */
+const createLog = function (openApi, options) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+  openApi = RefResolver.bundle(openApi, options)
+
+  const startedDateTime = new Date().toISOString()
+  const entries = []
+  const harList = OpenAPIToHar.getAll(openApi, options)
+  for (let i in harList) {
+    const item = harList[i]
+    // endpoints that cannot be translated in non-fatal mode are left out:
+    if (item.har === null) continue
+
+    const entry = {
+      startedDateTime,
+      time: 0,
+      request: item.har,
+      response: getResponse(item.document || openApi, item.path, item.method.toLowerCase(), options),
+      cache: {},
+      timings: {
+        send: 0,
+        wait: 0,
+        receive: 0
+      }
+    }
+    if (item.summary) {
+      entry.comment = item.summary
+    }
+    entries.push(entry)
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: packageInfo.name,
+        version: packageInfo.version
+      },
+      entries
+    }
+  }
+}
+
+/**
+ * Get the HAR Response object of the first success response of the given
+ * path and method pair. Endpoints without success response get a response
+ * with status 0, like requests without response in browsers.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} options Generation options
+ * @return {Object}         HAR Response object
+ */
+const getResponse = function (openApi, path, method, options) {
+  let success
+  try {
+    success = OpenAPIToHar.getSuccessResponse(OpenAPIToHar.getResponses(openApi, path, method, options, []))
+  } catch (err) {
+    if (!options.continueOnError) throw err
+  }
+
+  const response = {
+    status: 0,
+    statusText: '',
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: [],
+    content: {
+      size: 0,
+      mimeType: 'x-unknown'
+    },
+    redirectURL: '',
+    headersSize: -1,
+    bodySize: -1
+  }
+  if (typeof success === 'undefined') {
+    return response
+  }
+
+  // ranges and default responses are taken for a plain success:
+  response.status = /^\d+$/.test(success.status) ? parseInt(success.status, 10) : 200
+  response.statusText = success.description || ''
+  response.headers = success.headers.map(header => ({name: header.name, value: header.value}))
+  const location = success.headers.find(header => header.name.toLowerCase() === 'location')
+  if (typeof location !== 'undefined') {
+    response.redirectURL = location.value
+  }
+  if (typeof success.body !== 'undefined') {
+    response.content = {
+      size: Buffer.byteLength(success.body, 'utf8'),
+      mimeType: success.mediaType,
+      text: success.body
+    }
+    response.bodySize = response.content.size
+  }
+  return response
+}
+
+module.exports = {
+  createLog
+}
@@ -9,7 +9,36 @@
 'use strict'
 
 const OpenAPIToHar = require('./openapi-to-har.js')
+const HarLog = require('./har-log.js')
+const PostmanCollection = require('./postman-collection.js')
+const ParameterSerializer = require('./parameter-serializer.js')
+const RefResolver = require('./ref-resolver.js')
+const Errors = require('./errors.js')
 const HTTPSnippet = require('httpsnippet')
+const url = require('url')
+
+// targets and clients registered with addTarget and addTargetClient, by the
+// key of their target (language):
+const customTargets = {}
+
+// languages of code samples, as expected by ReDoc and similar renderers:
+const CODE_SAMPLE_LANGUAGES = {
+  c: 'C',
+  clojure: 'Clojure',
+  csharp: 'C#',
+  go: 'Go',
+  java: 'Java',
+  javascript: 'JavaScript',
+  node: 'JavaScript',
+  objc: 'Objective-C',
+  ocaml: 'OCaml',
+  php: 'PHP',
+  powershell: 'PowerShell',
+  python: 'Python',
+  ruby: 'Ruby',
+  shell: 'Shell',
+  swift: 'Swift'
+}
 
 /**
  * Return snippets for endpoint identified using path and method in the given
@@ -20,36 +49,67 @@ const HTTPSnippet = require('httpsnippet')
  * @param {string} method   HTTP method identifying endpoint, e.g., 'get'
  * @param {array} targets   List of languages to create snippets in, e.g, 
  *                          ['cURL', 'Node']
- * @param {object} values   Optional: Values for the query parameters if present
+ * @param {object} values   Optional: Values for the parameters and the payload,
+ *                          either as { path, query, header, cookie, body }, or
+ *                          the values of the query parameters only
+ * @param {object} options  Optional: Generation options, see README
  */
-const getEndpointSnippets = function (openApi, path, method, targets, values) {
+const getEndpointSnippets = function (openApi, path, method, targets, values, options) {
   // if optional parameter is not provided, set it to empty object
   if (typeof values === 'undefined') {
     values = {}
   }
+  openApi = RefResolver.bundle(openApi, options)
 
-  const har = OpenAPIToHar.getEndpoint(openApi, path, method, values)
+  const warnings = []
+  const har = OpenAPIToHar.getEndpoint(openApi, path, method, values, options, warnings)
+  const info = OpenAPIToHar.getOperationInfo(openApi, path, method, options)
 
-  const snippet = new HTTPSnippet(har)
-
-  const snippets = []
-  for (let j in targets) {
-    const target = formatTarget(targets[j])
-    if (!target) throw new Error('Invalid target: ' + targets[j])
-    snippets.push({
-      id: targets[j],
-      title: target.title,
-      content: snippet.convert(target.language, typeof target.library !== 'undefined' ? target.library : null)
-    })
-  }
-
-  return {
+  const result = {
     method: har.method,
     url: har.url,
-    description: har.description,
+    description: info.description,
+    operationId: info.operationId,
+    summary: info.summary,
+    tags: info.tags,
+    deprecated: info.deprecated,
     resource: getResourceName(har.url),
-    snippets: snippets
+    snippets: getTargetSnippets(har, targets, getContext(openApi, path, method, options))
+  }
+
+  if (options && options.responses) {
+    result.responses = OpenAPIToHar.getResponses(openApi, path, method, options, warnings)
+  }
+  if (options && options.validate) {
+    result.diagnostics = OpenAPIToHar.validateValues(openApi, path, method, values, options)
+  }
+  const variants = getVariants(openApi, path, method, targets, values, options)
+  if (variants) {
+    result.variants = variants
   }
+  if (options && options.continueOnError) {
+    result.warnings = warnings
+  }
+
+  return result
+}
+
+/**
+ * Return snippets for the endpoint of the operation with the given operationId
+ * in the given OpenAPI document.
+ *
+ * @param {object} openApi      OpenAPI document
+ * @param {string} operationId  ID of the operation, e.g., 'listPets'
+ * @param {array} targets       List of languages to create snippets in, e.g,
+ *                              ['cURL', 'Node']
+ * @param {object} values       Optional: Values for the parameters and the
+ *                              payload, see getEndpointSnippets
+ * @param {object} options      Optional: Generation options, see README
+ */
+const getOperationSnippets = function (openApi, operationId, targets, values, options) {
+  openApi = RefResolver.bundle(openApi, options)
+  const operation = OpenAPIToHar.findOperation(openApi, operationId, options)
+  return getEndpointSnippets(openApi, operation.path, operation.method, targets, values, options)
 }
 
 /**
@@ -58,39 +118,94 @@ const getEndpointSnippets = function (openApi, path, method, targets, values) {
  * @param {object} openApi  OpenAPI document
  * @param {array} targets   List of languages to create snippets in, e.g, 
  *                          ['cURL', 'Node']
+ * @param {object} options  Optional: Generation options, see README
  */
-const getSnippets = function (openApi, targets) {
-  const harList = OpenAPIToHar.getAll(openApi)
+const getSnippets = function (openApi, targets, options) {
+  // references to other files are loaded once, not for every endpoint:
+  openApi = RefResolver.bundle(openApi, options)
+  const harList = OpenAPIToHar.getAll(openApi, options)
+
+  const continueOnError = Boolean(options && options.continueOnError)
 
   const results = []
   for (let i in harList) {
-    // create HTTPSnippet object:
     const har = harList[i]
-    const snippet = new HTTPSnippet(har.har)
-
-    const snippets = []
-    for (let j in targets) {
-      const target = formatTarget(targets[j])
-      if (!target) throw new Error('Invalid target: ' + targets[j])
-      snippets.push({
-        id: targets[j],
-        title: target.title,
-        content: snippet.convert(target.language, typeof target.library !== 'undefined' ? target.library : null)
-      })
-    }
-
-    results.push({
+    const result = {
       method: har.method,
       url: har.url,
       description: har.description,
+      operationId: har.operationId,
+      summary: har.summary,
+      tags: har.tags,
+      deprecated: har.deprecated,
       resource: getResourceName(har.url),
-      snippets
-    })
+      snippets: []
+    }
+    // webhooks and callbacks are marked as such:
+    for (let key of ['kind', 'name', 'expression', 'parent']) {
+      if (typeof har[key] !== 'undefined') result[key] = har[key]
+    }
+
+    // webhooks and callbacks are described in a document derived for them:
+    const document = har.document || openApi
+
+    // in non-fatal mode, endpoints without HAR have warnings instead:
+    try {
+      if (har.har !== null) {
+        result.snippets = getTargetSnippets(har.har, targets,
+          getContext(document, har.path, har.method.toLowerCase(), options))
+        if (options && options.responses) {
+          result.responses = OpenAPIToHar.getResponses(document, har.path, har.method.toLowerCase(), options, har.warnings)
+        }
+        const variants = getVariants(document, har.path, har.method.toLowerCase(), targets, {}, options)
+        if (variants) {
+          result.variants = variants
+        }
+      }
+    } catch (err) {
+      if (!continueOnError || err instanceof Errors.InvalidTargetError) throw err
+      har.warnings.push(Errors.toWarning(err))
+    }
+    if (continueOnError) {
+      result.warnings = har.warnings
+    }
+
+    results.push(result)
   }
 
   // sort results:
-  results.sort((a, b) => {
-    if (a.resource < b.resource) {
+  const sorted = options && options.preserveOrder ? results : sortResults(results)
+
+  if (options && options.groupByTag) {
+    return groupByTag(openApi, sorted)
+  }
+
+  return sorted
+}
+
+/**
+ * Sort the given results by resource and method. Callbacks stay right after
+ * the operation they belong to, and webhooks come last.
+ *
+ * @param  {array} results  List of results, with callbacks after their operation
+ * @return {array}          Sorted list of results
+ */
+const sortResults = function (results) {
+  const units = []
+  for (let result of results) {
+    if (result.kind === 'callback' && units.length > 0) {
+      units[units.length - 1].push(result)
+    } else {
+      units.push([result])
+    }
+  }
+
+  units.sort((unitA, unitB) => {
+    const a = unitA[0]
+    const b = unitB[0]
+    if ((a.kind === 'webhook') !== (b.kind === 'webhook')) {
+      return a.kind === 'webhook' ? 1 : -1
+    } else if (a.resource < b.resource) {
       return -1
     } else if (a.resource > b.resource) {
       return 1
@@ -98,8 +213,436 @@ const getSnippets = function (openApi, targets) {
       return getMethodOrder(a.method.toLowerCase(), b.method.toLowerCase())
     }
   })
+  return [].concat(...units)
+}
+
+/**
+ * Group the given results by their tags. Groups are ordered like the tags in
+ * the OpenAPI document's 'tags' list, followed by other tags in order of
+ * appearance and finally by the group of untagged results, named 'default'.
+ * Results with several tags appear in several groups.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {array} results  List of results as returned by getSnippets
+ * @return {array}          List of groups, with name, description and results
+ */
+const groupByTag = function (openApi, results) {
+  const groups = []
+  const groupsByName = {}
+  const getGroup = function (name, description) {
+    if (typeof groupsByName[name] === 'undefined') {
+      groupsByName[name] = {name, description, results: []}
+      groups.push(groupsByName[name])
+    }
+    return groupsByName[name]
+  }
+
+  for (let i in openApi.tags) {
+    getGroup(openApi.tags[i].name, openApi.tags[i].description)
+  }
+  const untagged = []
+  for (let j in results) {
+    if (results[j].tags.length === 0) {
+      untagged.push(results[j])
+    }
+    for (let k in results[j].tags) {
+      getGroup(results[j].tags[k]).results.push(results[j])
+    }
+  }
+  if (untagged.length > 0) {
+    getGroup('default').results.push(...untagged)
+  }
+
+  return groups.filter(group => group.results.length > 0)
+}
+
+/**
+ * Return an HTTP Archive (HAR) 1.2 document whose log has an entry for every
+ * endpoint in the given OpenAPI document, with the request and an example
+ * response.
+ *
+ * @param {object} openApi  OpenAPI document
+ * @param {object} options  Optional: Generation options, see README
+ * @return {object}         HAR document
+ */
+const getHarLog = function (openApi, options) {
+  return HarLog.createLog(openApi, options)
+}
+
+/**
+ * Return a Postman Collection (v2.1) with a request for every endpoint in the
+ * given OpenAPI document, in a folder per tag.
+ *
+ * @param {object} openApi  OpenAPI document
+ * @param {object} options  Optional: Generation options, see README
+ * @return {object}         Postman collection
+ */
+const getPostmanCollection = function (openApi, options) {
+  return PostmanCollection.createCollection(openApi, options)
+}
 
-  return results
+/**
+ * Return a copy of the given OpenAPI document in which every operation lists
+ * snippets in the given targets as code samples, within a vendor extension
+ * read by documentation renderers (e.g., 'x-codeSamples' for ReDoc).
+ * References to other files are bundled into the copy. With
+ * options.continueOnError, operations whose snippets cannot be created are
+ * left as they are.
+ *
+ * @param {object} openApi  OpenAPI document
+ * @param {array} targets   List of languages to create snippets in, e.g,
+ *                          ['cURL', 'Node']
+ * @param {object} options  Optional: Generation options, see README, including
+ *                          codeSamplesExtension and overwriteCodeSamples
+ * @return {object}         Copy of the OpenAPI document
+ */
+const addCodeSamples = function (openApi, targets, options) {
+  options = options || {}
+  const extension = options.codeSamplesExtension || 'x-codeSamples'
+  // path items may reference other files:
+  openApi = RefResolver.bundle(openApi, options)
+
+  const result = Object.assign({}, openApi)
+  if (openApi.paths) result.paths = Object.assign({}, openApi.paths)
+  for (let path in openApi.paths) {
+    const methods = OpenAPIToHar.getMethods(openApi, path)
+    if (methods.length === 0) continue
+
+    const pathItem = Object.assign({}, OpenAPIToHar.getPathItem(openApi, path))
+    for (let i in methods) {
+      const operation = pathItem[methods[i]]
+      let snippets
+      try {
+        snippets = getEndpointSnippets(openApi, path, methods[i], targets, {}, options).snippets
+      } catch (err) {
+        if (!options.continueOnError || err instanceof Errors.InvalidTargetError) throw err
+        continue
+      }
+      let samples = snippets.map(snippet => ({
+        lang: CODE_SAMPLE_LANGUAGES[snippet.id.split('_')[0]] || OpenAPIToHar.capitalize(snippet.id.split('_')[0]),
+        label: snippet.title,
+        source: snippet.content
+      }))
+
+      const existing = operation[extension]
+      if (Array.isArray(existing) && !options.overwriteCodeSamples) {
+        samples = existing.concat(samples.filter(function (sample) {
+          return !existing.some(other => other.lang === sample.lang && other.label === sample.label)
+        }))
+      }
+      pathItem[methods[i]] = Object.assign({}, operation, {[extension]: samples})
+    }
+    result.paths[path] = pathItem
+  }
+
+  return result
+}
+
+/**
+ * Return snippets for the given HAR Request object in all given targets.
+ *
+ * @param  {object} har     HAR Request object
+ * @param  {array} targets  List of languages to create snippets in
+ * @param  {object} context Operation the HAR was created for, passed to
+ *                          custom clients, see getContext
+ * @return {array}          List of snippets
+ */
+const getTargetSnippets = function (har, targets, context) {
+  const snippet = new HTTPSnippet(har)
+  keepReservedCharacters(snippet, har)
+  keepPlaceholders(snippet, har)
+
+  const snippets = []
+  for (let j in targets) {
+    const target = formatTarget(targets[j])
+    if (!target) throw new Errors.InvalidTargetError(targets[j])
+    let content = target.client
+      ? target.client.convert(har, context, snippet)
+      : snippet.convert(target.language, typeof target.library !== 'undefined' ? target.library : null)
+    if (target.language === 'shell' && typeof content === 'string') {
+      content = expandEnvironmentVariables(content, har)
+    }
+    snippets.push({
+      id: targets[j],
+      title: target.title,
+      content
+    })
+  }
+
+  return snippets
+}
+
+/**
+ * Return the context passed to custom clients: the OpenAPI document, and the
+ * path, method and Operation object of the endpoint.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Path identifying endpoint, e.g., '/users'
+ * @param  {string} method  HTTP method identifying endpoint, e.g., 'get'
+ * @param  {object} options Optional: Generation options
+ * @return {object}         Context with openApi, path, method and operation
+ */
+const getContext = function (openApi, path, method, options) {
+  return {
+    openApi,
+    path,
+    method,
+    operation: OpenAPIToHar.getOperation(openApi, path, method, options)
+  }
+}
+
+/**
+ * Register a custom target (i.e., language), given as HTTP Snippet target
+ * module: an object with 'info' (key, title and default client) and the
+ * clients of the target, keyed by their key. Clients are HTTP Snippet client
+ * modules or simple clients, see addTargetClient.
+ *
+ * @param  {object} target  Target module, e.g., { info: { key: 'mysdk',
+ *                          title: 'My SDK', default: 'python' }, python: ... }
+ */
+const addTarget = function (target) {
+  if (!target || !target.info || typeof target.info.key !== 'string' || target.info.key.indexOf('_') !== -1) {
+    throw new Errors.OpenAPISnippetError('Invalid target definition: a target needs info with a key without \'_\'',
+      'INVALID_TARGET_DEFINITION')
+  }
+
+  const clients = {}
+  for (let key in target) {
+    if (key === 'info' || key === 'index') continue
+    const client = normalizeClient(target[key], key)
+    clients[client.key] = client
+  }
+  customTargets[target.info.key] = {
+    key: target.info.key,
+    title: target.info.title || OpenAPIToHar.capitalize(target.info.key),
+    default: target.info.default || Object.keys(clients)[0],
+    builtIn: false,
+    clients
+  }
+}
+
+/**
+ * Register a custom client (i.e., library) of a built-in or custom target.
+ * The client is either an HTTP Snippet client module - a function (request,
+ * options) with 'info' (key and title), receiving the request as prepared by
+ * HTTP Snippet - or a simple client: an object with key, title and a function
+ * convert (har, context) receiving the HAR Request object and the context of
+ * the operation (openApi, path, method and operation).
+ *
+ * @param  {string} targetKey Key of the target, e.g., 'python'
+ * @param  {object} client    Client module or simple client
+ */
+const addTargetClient = function (targetKey, client) {
+  if (typeof customTargets[targetKey] === 'undefined') {
+    const builtIn = HTTPSnippet.availableTargets().find(target => target.key === targetKey)
+    if (!builtIn) throw new Errors.InvalidTargetError(targetKey)
+    customTargets[targetKey] = {
+      key: targetKey,
+      title: OpenAPIToHar.capitalize(targetKey),
+      default: builtIn.default,
+      builtIn: true,
+      clients: {}
+    }
+  }
+
+  const normalized = normalizeClient(client)
+  customTargets[targetKey].clients[normalized.key] = normalized
+}
+
+/**
+ * Bring the given HTTP Snippet client module or simple client into the form
+ * { key, title, convert (har, context, snippet) }.
+ *
+ * @param  {object} client  Client module or simple client
+ * @param  {string} key     Optional: Key of the client, if not defined by the client
+ * @return {object}         Normalized client
+ */
+const normalizeClient = function (client, key) {
+  const info = typeof client === 'function' ? client.info || {} : client || {}
+  key = info.key || key
+  if (typeof key !== 'string' || key.indexOf('_') !== -1 ||
+    (typeof client !== 'function' && (!client || typeof client.convert !== 'function'))) {
+    throw new Errors.OpenAPISnippetError('Invalid client definition: ' + (key || 'a client') +
+      ' needs a key without \'_\' and must be a client module or have a convert function', 'INVALID_TARGET_DEFINITION')
+  }
+
+  return {
+    key,
+    title: info.title || OpenAPIToHar.capitalize(key),
+    convert: typeof client === 'function'
+      ? function (har, context, snippet) {
+        const results = snippet.requests.map(request => client(request, {}))
+        return results.length === 1 ? results[0] : results
+      }
+      : function (har, context) {
+        return client.convert(har, context)
+      }
+  }
+}
+
+/**
+ * HTTP Snippet percent-encodes all query parameters. For query parameters
+ * with allowReserved (marked with the custom HAR field '_allowReserved'),
+ * rebuild the query string of the prepared requests so that reserved
+ * characters in their values are kept.
+ *
+ * @param  {object} snippet HTTPSnippet object
+ * @param  {object} har     HAR Request object
+ */
+const keepReservedCharacters = function (snippet, har) {
+  if (!har.queryString || !har.queryString.some(query => query._allowReserved)) {
+    return
+  }
+
+  const search = har.queryString.map(function (query) {
+    return ParameterSerializer.encodeQueryComponent(query.name) + '=' +
+      ParameterSerializer.encodeQueryComponent(query.value, query._allowReserved)
+  }).join('&')
+
+  for (let i in snippet.requests) {
+    const request = snippet.requests[i]
+    request.uriObj.search = search
+    request.uriObj.path = request.uriObj.pathname + '?' + search
+    request.fullUrl = url.format(request.uriObj)
+  }
+}
+
+/**
+ * HTTP Snippet percent-encodes the URL, cookies and urlencoded form data.
+ * Restore the placeholders used for missing values (listed in the custom HAR
+ * field '_placeholders') in the prepared requests, so that they can be
+ * replaced in the snippets.
+ *
+ * @param  {object} snippet HTTPSnippet object
+ * @param  {object} har     HAR Request object
+ */
+const keepPlaceholders = function (snippet, har) {
+  const placeholders = (har._placeholders || []).filter(placeholder => encodeURIComponent(placeholder) !== placeholder)
+  if (placeholders.length === 0) {
+    return
+  }
+
+  const restore = function (str) {
+    if (typeof str !== 'string') return str
+    for (let i in placeholders) {
+      str = str.split(encodeURIComponent(placeholders[i])).join(placeholders[i])
+    }
+    return str
+  }
+
+  for (let i in snippet.requests) {
+    const request = snippet.requests[i]
+    for (let key of ['pathname', 'path', 'search', 'href']) {
+      request.uriObj[key] = restore(request.uriObj[key])
+    }
+    request.url = restore(request.url)
+    request.fullUrl = restore(request.fullUrl)
+    if (request.allHeaders.cookie) {
+      request.allHeaders.cookie = restore(request.allHeaders.cookie)
+    }
+    if (request.postData.mimeType === 'application/x-www-form-urlencoded') {
+      request.postData.text = restore(request.postData.text)
+    }
+  }
+}
+
+/**
+ * Shell snippets single-quote values, which keeps shells from expanding
+ * environment variables. Move the references to environment variables among
+ * the placeholders (listed in the custom HAR field '_placeholders') out of the
+ * single quotes, e.g., 'Authorization: Bearer '"$API_TOKEN".
+ *
+ * @param  {string} content Shell snippet
+ * @param  {object} har     HAR Request object
+ * @return {string}         Shell snippet
+ */
+const expandEnvironmentVariables = function (content, har) {
+  const variables = (har._placeholders || []).filter(placeholder => /^\$(\w+|\{\w+\})$/.test(placeholder))
+  if (variables.length > 0) {
+    // $PET must not match the start of $PET_ID:
+    const pattern = new RegExp('(?:' + variables.map(variable => variable.replace(/[${}]/g, '\\$&')).join('|') +
+      ')(?!\\w)', 'g')
+    content = content.replace(pattern, '\'"$&"\'')
+  }
+  // remove empty quotes left at the start or end of a value:
+  return content.replace(/(^|\s)''(?=")/g, '$1').replace(/(")''(?=\s|$)/g, '$1')
+}
+
+/**
+ * Return the variants of snippets requested in the given options: one for
+ * every named example (options.examples), one for every alternative
+ * security requirement (options.securityVariants), and one for every variant
+ * of the request body schema (options.bodyVariants).
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Path identifying endpoint, e.g., '/users'
+ * @param  {string} method  HTTP method identifying endpoint, e.g., 'get'
+ * @param  {array} targets  List of languages to create snippets in
+ * @param  {object} values  Values for the parameters
+ * @param  {object} options Optional: Generation options
+ * @return {array}          List of variants, or undefined if none are requested
+ */
+const getVariants = function (openApi, path, method, targets, values, options) {
+  if (!options || (!options.examples && !options.securityVariants && !options.bodyVariants)) {
+    return undefined
+  }
+
+  // every variant is described by the generation options it stems from:
+  let variants = []
+  if (options.examples) {
+    variants = variants.concat(OpenAPIToHar.getExamples(openApi, path, method, options).map(example => ({
+      id: example.name,
+      title: example.summary || example.description || example.name,
+      description: example.description,
+      options: {example: example.name}
+    })))
+  }
+  if (options.securityVariants) {
+    variants = variants.concat(OpenAPIToHar.getSecurityRequirements(openApi, path, method).map(function (requirement, index) {
+      const schemes = Object.keys(requirement)
+      return {
+        id: schemes.length > 0 ? schemes.join('+') : 'none',
+        title: schemes.length > 0 ? schemes.join(' + ') : 'No authentication',
+        options: {securityRequirement: index}
+      }
+    }))
+  }
+  if (options.bodyVariants) {
+    variants = variants.concat(OpenAPIToHar.getBodyVariants(openApi, path, method, options).map(variant => ({
+      id: variant.name,
+      title: variant.title,
+      options: {bodyVariant: variant.name}
+    })))
+  }
+  return variants.map(variant => getVariant(openApi, path, method, targets, values, options, variant))
+}
+
+/**
+ * Return the given variant of snippets of the endpoint identified using path
+ * and method in the given OpenAPI document.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Path identifying endpoint, e.g., '/users'
+ * @param  {string} method  HTTP method identifying endpoint, e.g., 'get'
+ * @param  {array} targets  List of languages to create snippets in
+ * @param  {object} values  Values for the parameters
+ * @param  {object} options Generation options
+ * @param  {object} variant Variant with id, title, optional description, and
+ *                          the options to generate it with
+ * @return {object}         Variant with id, title, description (examples only)
+ *                          and snippets
+ */
+const getVariant = function (openApi, path, method, targets, values, options, variant) {
+  const har = OpenAPIToHar.getEndpoint(openApi, path, method, values, Object.assign({}, options, variant.options))
+  const result = {
+    id: variant.id,
+    title: variant.title
+  }
+  if ('description' in variant) {
+    result.description = variant.description
+  }
+  result.snippets = getTargetSnippets(har, targets, getContext(openApi, path, method, options))
+  return result
 }
 
 /**
@@ -110,8 +653,10 @@ const getSnippets = function (openApi, targets) {
  * @return {number}   The order instruction for the given HTTP verbs
  */
 const getMethodOrder = function (a, b) {
-  const order = ['get', 'post', 'put', 'delete', 'patch']
-  if (order.indexOf(a) === -1) {
+  const order = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'trace']
+  if (order.indexOf(a) === -1 && order.indexOf(b) === -1) {
+    return a < b ? -1 : (a > b ? 1 : 0)
+  } else if (order.indexOf(a) === -1) {
     return 1
   } else if (order.indexOf(b) === -1) {
     return -1
@@ -143,15 +688,33 @@ const getResourceName = function (urlStr) {
 
 /**
  * Format the given target by splitting up language and library and making sure
- * that HTTP Snippet supports them.
+ * that HTTP Snippet, or a registered custom target or client, supports them.
  *
  * @param  {string} targetStr String defining a target, e.g., node_request
- * @return {object}           Object with formatted target, or null
+ * @return {object}           Object with formatted target, or null. Custom
+ *                            clients are given as 'client'
  */
 const formatTarget = function (targetStr) {
   const language = targetStr.split('_')[0]
-  const title = capitalizeFirstLetter(language)
-  const library = targetStr.split('_')[1]
+  const title = OpenAPIToHar.capitalize(language)
+  let library = targetStr.split('_')[1]
+
+  const custom = customTargets[language]
+  if (custom) {
+    const key = typeof library === 'undefined' ? custom.default : library
+    const client = custom.clients[key]
+    if (client) {
+      return {
+        title: custom.title + ' + ' + client.title,
+        language,
+        library: key,
+        client
+      }
+    }
+    if (!custom.builtIn) {
+      return null
+    }
+  }
 
   const validTargets = HTTPSnippet.availableTargets()
   let validLanguage = false
@@ -180,19 +743,27 @@ const formatTarget = function (targetStr) {
   }
 
   return {
-    title: typeof library !== 'undefined' ? title + ' + ' + capitalizeFirstLetter(library) : title,
+    title: typeof library !== 'undefined' ? title + ' + ' + OpenAPIToHar.capitalize(library) : title,
     language,
     library
   }
 }
 
-const capitalizeFirstLetter = function (string) {
-  return string.charAt(0).toUpperCase() + string.slice(1)
-}
-
 module.exports = {
   getSnippets,
-  getEndpointSnippets
+  getEndpointSnippets,
+  getOperationSnippets,
+  addCodeSamples,
+  getHarLog,
+  getPostmanCollection,
+  addTarget,
+  addTargetClient,
+  OpenAPISnippetError: Errors.OpenAPISnippetError,
+  InvalidTargetError: Errors.InvalidTargetError,
+  UnknownEndpointError: Errors.UnknownEndpointError,
+  UnresolvableReferenceError: Errors.UnresolvableReferenceError,
+  UnknownSecuritySchemeError: Errors.UnknownSecuritySchemeError,
+  SampleError: Errors.SampleError
 }
 
 // The if is only for when this is run from the browser
@@ -204,7 +775,13 @@ if (typeof window !== 'undefined') {
   // define that object
   OpenAPISnippets = {
     getSnippets,
-    getEndpointSnippets
+    getEndpointSnippets,
+    getOperationSnippets,
+    addCodeSamples,
+    getHarLog,
+    getPostmanCollection,
+    addTarget,
+    addTargetClient
   }
 
   // replace/create the global namespace
@@ -19,6 +19,27 @@
  * }
  */
 const OpenAPISampler = require('openapi-sampler')
+const RefResolver = require('./ref-resolver.js')
+const XmlSerializer = require('./xml-serializer.js')
+const ParameterSerializer = require('./parameter-serializer.js')
+const SchemaConverter = require('./schema-converter.js')
+const RuntimeExpression = require('./runtime-expression.js')
+const SchemaValidator = require('./schema-validator.js')
+const Errors = require('./errors.js')
+
+// the keys of a Path Item object denoting operations:
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// headers derived from the media types and security schemes, which header
+// parameters must not add a second time:
+const DERIVED_HEADERS = ['accept', 'content-type', 'authorization']
+
+// key of the list of placeholders used while building a HAR Request object:
+const USED_PLACEHOLDERS = Symbol('usedPlaceholders')
+
+// key of the JSON pointer tokens of the webhook or callback a document is
+// derived for, see getReceiverDocument:
+const RECEIVER_TOKENS = Symbol('receiverTokens')
 
 /**
  * Create HAR Request object for path and method pair described in given OpenAPI
@@ -27,402 +48,2431 @@ const OpenAPISampler = require('openapi-sampler')
  * @param  {Object} openApi           OpenAPI document
  * @param  {string} path              Key of the path
  * @param  {string} method            Key of the method
- * @param  {Object} queryParamValues  Optional: Values for the query parameters if present
+ * @param  {Object} values            Optional: Values for the parameters and the payload,
+ *                                    either as { path, query, header, cookie, body }, or
+ *                                    the values of the query parameters only
+ * @param  {Object} options           Optional: Generation options, e.g., server selection
+ *                                    or the name of the example to use
+ * @param  {array} warnings           Optional: List to add warnings to, if
+ *                                    options.continueOnError is set
  * @return {Object}                   HAR Request object
  */
-const createHar = function (openApi, path, method, queryParamValues) {
-  // if the operational parameter is not provided, set it to empty object
-  if (typeof queryParamValues === 'undefined') {
-    queryParamValues = {}
+const createHar = function (openApi, path, method, values, options, warnings) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+
+  return buildHar(RefResolver.bundle(openApi, options), path, method, normalizeValues(values), options, warnings)
+}
+
+/**
+ * Bring the given parameter values into the structured form
+ * { path, query, header, cookie, body }. Values not given in this form are
+ * considered values of query parameters.
+ *
+ * @param  {Object} values  Optional: Parameter values
+ * @return {Object}         Structured parameter values
+ */
+const normalizeValues = function (values) {
+  const normalized = {
+    path: {},
+    query: {},
+    header: {},
+    cookie: {},
+    body: undefined
+  }
+  if (values === null || typeof values !== 'object') {
+    return normalized
+  }
+
+  const keys = Object.keys(values)
+  const isStructured = keys.length > 0 && keys.every(function (key) {
+    if (key === 'body') return true
+    return typeof normalized[key] === 'object' && values[key] !== null &&
+      typeof values[key] === 'object' && !Array.isArray(values[key])
+  })
+
+  if (!isStructured) {
+    normalized.query = values
+    return normalized
+  }
+
+  for (let key in values) {
+    normalized[key] = values[key]
+  }
+  // header names are case-insensitive:
+  normalized.header = {}
+  for (let name in values.header || {}) {
+    normalized.header[name.toLowerCase()] = values.header[name]
   }
+  return normalized
+}
+
+/**
+ * Create HAR Request object for path and method pair described in given
+ * OpenAPI document, which only contains local references.
+ *
+ * @param  {Object} openApi           Bundled OpenAPI document
+ * @param  {string} path              Key of the path
+ * @param  {string} method            Key of the method
+ * @param  {Object} values            Structured values for the parameters and the payload
+ * @param  {Object} options           Generation options
+ * @param  {array} warnings           Optional: List to add warnings to
+ * @return {Object}                   HAR Request object
+ */
+const buildHar = function (openApi, path, method, values, options, warnings) {
+  checkEndpoint(openApi, path, method)
+  const placeholders = []
+  options = Object.assign({}, options, {[USED_PLACEHOLDERS]: placeholders})
 
-  const baseUrl = getBaseUrl(openApi)
+  const baseUrl = getBaseUrl(openApi, path, method, options)
+  const security = getSecurity(openApi, path, method, options)
 
   const har = {
     method: method.toUpperCase(),
-    url: baseUrl + getFullPath(openApi, path, method),
-    headers: getHeadersArray(openApi, path, method),
-    queryString: getQueryStrings(openApi, path, method, queryParamValues),
+    url: baseUrl + getFullPath(openApi, path, method, values.path, options),
+    headers: getHeadersArray(openApi, path, method, values.header, options, security.headers).concat(security.headers),
+    queryString: getQueryStrings(openApi, path, method, values.query, options).concat(security.queryString),
     httpVersion: 'HTTP/1.1',
-    cookies: [],
+    cookies: getCookies(openApi, path, method, values.cookie, options).concat(security.cookies),
     headersSize: 0,
     bodySize: 0
   }
 
   // get payload data, if available:
-  const postData = getPayload(openApi, path, method)
+  const postData = getPayload(openApi, path, method, values.body, options, warnings)
   if (postData) har.postData = postData
 
+  har.headersSize = getHeadersSize(har)
+  har.bodySize = getBodySize(har.postData)
+
+  // '_placeholders' is a custom HAR field, see index.js:
+  if (placeholders.length > 0) har._placeholders = placeholders
+
   return har
 }
 
+/**
+ * Get the size in bytes of the headers of the given HAR Request object, as
+ * sent by a client: from the start of the request line up to and including
+ * the empty line before the body, with a Host header and the cookies in a
+ * Cookie header.
+ *
+ * @param  {Object} har HAR Request object
+ * @return {number}     Size of the headers
+ */
+const getHeadersSize = function (har) {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]*)(.*)$/i.exec(har.url)
+  const search = getSearch(har.queryString)
+  const target = ((match ? match[2] : har.url) || '/') + (search !== '' ? '?' + search : '')
+
+  const lines = [har.method + ' ' + target + ' ' + har.httpVersion]
+  if (match && match[1] !== '') {
+    lines.push('Host: ' + match[1])
+  }
+  for (let i in har.headers) {
+    lines.push(har.headers[i].name + ': ' + har.headers[i].value)
+  }
+  if (har.cookies.length > 0) {
+    lines.push('Cookie: ' + har.cookies.map(cookie => cookie.name + '=' + cookie.value).join('; '))
+  }
+  return byteLength(lines.join('\r\n') + '\r\n\r\n')
+}
+
+/**
+ * Get the size in bytes of the given HAR postData object. The size of
+ * multipart/form-data is unknown (-1), as it depends on the boundary and the
+ * files chosen by the client.
+ *
+ * @param  {Object} postData  Optional: HAR postData object
+ * @return {number}           Size of the body
+ */
+const getBodySize = function (postData) {
+  if (!postData) {
+    return 0
+  }
+  if (typeof postData.text === 'string') {
+    return byteLength(postData.text)
+  }
+  if (postData.mimeType.split(';')[0].trim().toLowerCase() === 'multipart/form-data') {
+    return -1
+  }
+  return byteLength(getSearch(postData.params || []))
+}
+
+/**
+ * Get the percent-encoded query string (without '?') of the given list of
+ * HAR query parameters or params of urlencoded form data.
+ *
+ * @param  {array} params List of objects with name and value
+ * @return {string}       Query string, e.g., 'tags=dog&limit=10'
+ */
+const getSearch = function (params) {
+  return params.map(function (param) {
+    return ParameterSerializer.encodeQueryComponent(param.name) + '=' +
+      ParameterSerializer.encodeQueryComponent(param.value, param._allowReserved)
+  }).join('&')
+}
+
+const byteLength = function (str) {
+  return Buffer.byteLength(str, 'utf8')
+}
+
+/**
+ * Ensure that the given path and method pair exists in the given OpenAPI
+ * document, and that the references within its parameters and request body
+ * can be resolved.
+ *
+ * @param  {Object} openApi Bundled OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @throws {UnknownEndpointError|UnresolvableReferenceError}
+ */
+const checkEndpoint = function (openApi, path, method) {
+  const pathItem = openApi.paths ? openApi.paths[path] : undefined
+  if (pathItem === null || typeof pathItem !== 'object') {
+    throw new Errors.UnknownEndpointError('Unknown path: ' + path, RefResolver.formatPointer(getPathTokens(openApi, path)))
+  }
+  if (typeof pathItem['$ref'] === 'string' && typeof RefResolver.dereference(openApi, pathItem) === 'undefined') {
+    throw new Errors.UnresolvableReferenceError(pathItem['$ref'], RefResolver.formatPointer(getPathTokens(openApi, path)))
+  }
+  if (getMethods(openApi, path).indexOf(method) === -1) {
+    throw new Errors.UnknownEndpointError('Unknown method: ' + method.toUpperCase() + ' ' + path,
+      RefResolver.formatPointer(getPathTokens(openApi, path).concat(method)))
+  }
+
+  // only the parts of the definition snippets are created from:
+  const operation = getOperation(openApi, path, method)
+  RefResolver.checkRefs(openApi, getPathItem(openApi, path).parameters, getPathTokens(openApi, path).concat('parameters'))
+  RefResolver.checkRefs(openApi, operation.parameters, getPathTokens(openApi, path).concat(method, 'parameters'))
+  RefResolver.checkRefs(openApi, operation.requestBody, getPathTokens(openApi, path).concat(method, 'requestBody'))
+}
+
 /**
  * Get the payload definition for the given endpoint (path + method) from the
  * given OAI specification. References within the payload definition are
  * resolved.
  *
+ * For OpenAPI 3, the payload is rendered in the media type selected by
+ * getRequestMediaType: JSON, form data (urlencoded or multipart), XML or text.
+ * The named example selected by options.example, or else the media type's
+ * example, takes precedence over the sampled payload. A given payload value
+ * is deep-merged onto the sampled payload, or used as is if it is a string.
+ *
  * @param  {object} openApi
  * @param  {string} path
  * @param  {string} method
+ * @param  {any}    value     Optional: Payload, or parts of it, to use
+ * @param  {object} options   Optional: contentType to render the payload in and
+ *                            name of the example to use
+ * @param  {array}  warnings  Optional: List to add sampling failures to, if
+ *                            options.continueOnError is set
  * @return {object}
  */
-const getPayload = function (openApi, path, method) {
-  if (typeof openApi.paths[path][method].parameters !== 'undefined') {
-    for (let i in openApi.paths[path][method].parameters) {
-      const param = openApi.paths[path][method].parameters[i]
-      if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'body' &&
-        typeof param.schema !== 'undefined') {
-          try {
-            const sample = OpenAPISampler.sample(param.schema, {skipReadOnly: true}, openApi)
-            return {
-              mimeType: 'application/json',
-              text: JSON.stringify(sample)
-            }
-          } catch (err) {
-            console.log(err)
-            return null
-          }
+const getPayload = function (openApi, path, method, value, options, warnings) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+
+  // Swagger 2 body and formData parameters:
+  const parameters = getParameters(openApi, path, method)
+  const formParams = parameters.filter(param => isParameterIn(param, 'formdata'))
+  for (let i in parameters) {
+    const param = parameters[i]
+    if (isParameterIn(param, 'body') && typeof param.schema !== 'undefined') {
+      const bodyMediaType = getSwaggerRequestMediaType(openApi, path, method, options)
+      if (typeof value === 'string') {
+        return {
+          mimeType: bodyMediaType,
+          text: value
+        }
+      }
+      const sample = sampleBodySchema(openApi, param.schema, getPathTokens(openApi, path).concat(method), options, warnings)
+      if (typeof sample === 'undefined' && typeof value === 'undefined') {
+        return null
       }
+      return getPostData(openApi, bodyMediaType, {schema: param.schema}, mergeDeep(sample, value), options)
     }
   }
-  
-  if (openApi.paths[path][method].requestBody && openApi.paths[path][method].requestBody['$ref']) {
-    openApi.paths[path][method].requestBody = resolveRef(openApi, openApi.paths[path][method].requestBody['$ref']);
+  if (formParams.length > 0) {
+    return getFormDataPayload(openApi, formParams, getSwaggerRequestMediaType(openApi, path, method, options), value, options)
   }
 
-    if (openApi.paths[path][method].requestBody && openApi.paths[path][method].requestBody.content &&
-        openApi.paths[path][method].requestBody.content['application/json'] &&
-        openApi.paths[path][method].requestBody.content['application/json'].schema) {
-        const sample = OpenAPISampler.sample(openApi.paths[path][method].requestBody.content['application/json'].schema, {skipReadOnly: true}, openApi)
-        return {
-            mimeType: 'application/json',
-            text: JSON.stringify(sample)
-        }
+  const requestBody = resolveRef(openApi, getOperation(openApi, path, method).requestBody)
+  const mediaType = getRequestMediaType(requestBody, options)
+  if (mediaType === null) {
+    return null
+  }
+
+  // payloads given as string are used as is:
+  if (typeof value === 'string') {
+    return {
+      mimeType: mediaType,
+      text: value
     }
-  return null
+  }
+
+  const mediaTypeObj = requestBody.content[mediaType] || {}
+  const example = getNamedExample(openApi, mediaTypeObj.examples, options.example)
+  let sample
+  if (typeof options.bodyVariant !== 'undefined' && typeof mediaTypeObj.schema !== 'undefined') {
+    // a selected variant of the schema takes precedence over the examples:
+    sample = sampleBodySchema(openApi, mediaTypeObj.schema,
+      getPathTokens(openApi, path).concat(method, 'requestBody', 'content', mediaType, 'schema'), options, warnings)
+  } else if (typeof example !== 'undefined') {
+    sample = example.value
+  } else if (typeof mediaTypeObj.example !== 'undefined') {
+    sample = mediaTypeObj.example
+  } else if (typeof mediaTypeObj.schema !== 'undefined') {
+    sample = sampleSchema(openApi, mediaTypeObj.schema,
+      getPathTokens(openApi, path).concat(method, 'requestBody', 'content', mediaType, 'schema'), options, warnings)
+  }
+  if (typeof sample === 'undefined' && typeof value === 'undefined') {
+    return null
+  }
+
+  return getPostData(openApi, mediaType, mediaTypeObj, mergeDeep(sample, value), options)
 }
 
 /**
- * Gets the base URL constructed from the given openApi.
+ * Get the postData of the given Swagger 2 formData parameters, rendered as
+ * urlencoded or multipart form data. Values are serialized according to the
+ * parameters' collectionFormat, file parameters are given as file name.
  *
- * @param  {Object} openApi OpenAPI document
- * @return {string}         Base URL
+ * @param  {object} openApi     OpenAPI document
+ * @param  {array}  params      Resolved formData parameters
+ * @param  {string} mediaType   Media type to render the form data in
+ * @param  {object} values      Optional: Values of the parameters, by name
+ * @param  {object} options     Generation options
+ * @return {object}             HAR postData object
  */
-const getBaseUrl = function (openApi) {
-  if (openApi.servers)
-      return openApi.servers[0].url
-  let baseUrl = ''
-  if (typeof openApi.schemes !== 'undefined') {
-    baseUrl += openApi.schemes[0]
-  } else {
-    baseUrl += 'http'
-  }
+const getFormDataPayload = function (openApi, params, mediaType, values, options) {
+  const multipart = mediaType.split(';')[0].trim().toLowerCase() === 'multipart/form-data'
+  values = isPlainObject(values) ? values : {}
 
-  if (openApi.basePath === '/') {
-    baseUrl += '://' + openApi.host
-  } else {
-    baseUrl += '://' + openApi.host + openApi.basePath
+  const postParams = []
+  for (let i in params) {
+    const param = params[i]
+    if (param.type === 'file') {
+      postParams.push({
+        name: param.name,
+        value: '',
+        fileName: typeof values[param.name] !== 'undefined'
+          ? values[param.name] + ''
+          : getPlaceholder({name: param.name, in: 'formData', type: 'file'}, options),
+        contentType: 'application/octet-stream'
+      })
+      continue
+    }
+
+    let value = typeof values[param.name] !== 'undefined'
+      ? values[param.name]
+      : getParameterExample(openApi, param, param, options)
+    if (typeof value === 'undefined') {
+      value = getPlaceholder({name: param.name, in: 'formData', type: param.type || 'string'}, options)
+    }
+    const pairs = ParameterSerializer.serializeQuery(param, value)
+    for (let j in pairs) {
+      postParams.push({name: pairs[j].name, value: pairs[j].value})
+    }
   }
 
-  return baseUrl
+  return {
+    mimeType: multipart ? 'multipart/form-data' : 'application/x-www-form-urlencoded',
+    params: postParams
+  }
 }
 
 /**
- * Get array of objects describing the query parameters for a path and method
- * pair described in the given OpenAPI document.
+ * Select the media type the payload of the given Swagger 2 operation is sent
+ * in, from the media types it (or else the document) consumes. Form data with
+ * files is sent as multipart/form-data, other form data as urlencoded unless
+ * only multipart/form-data is consumed. Other payloads are sent in the media
+ * type selected by options.contentType, or else as JSON if it is consumed.
  *
- * @param  {Object} openApi OpenApi document
+ * @param  {object} openApi OpenAPI document
  * @param  {string} path    Key of the path
  * @param  {string} method  Key of the method
- * @param  {Object} values  Optional: query parameter values to use in the snippet if present
- * @return {array}          List of objects describing the query strings
+ * @param  {object} options Optional: contentType to select
+ * @return {string}         Media type, or null if there is no payload
  */
-const getQueryStrings = function (openApi, path, method, values) {
-  // Set the optional parameter if it's not provided
-  if (typeof values === 'undefined') {
-    values = {}
+const getSwaggerRequestMediaType = function (openApi, path, method, options) {
+  const parameters = getParameters(openApi, path, method)
+  const formParams = parameters.filter(param => isParameterIn(param, 'formdata'))
+  const hasBody = parameters.some(param => isParameterIn(param, 'body'))
+  if (!hasBody && formParams.length === 0) {
+    return null
   }
 
-  const queryStrings = []
+  const consumes = getOperation(openApi, path, method).consumes || openApi.consumes || []
+  if (hasBody) {
+    return selectMediaType(consumes, options && options.contentType) || 'application/json'
+  }
 
-  if (typeof openApi.paths[path][method].parameters !== 'undefined') {
-    for (let i in openApi.paths[path][method].parameters) {
-      let param = openApi.paths[path][method].parameters[i]
-      if (typeof param['$ref'] === 'string' &&
-        /^#/.test(param['$ref'])) {
-        param = resolveRef(openApi, param['$ref'])
-      }
-      if (typeof param.schema !== 'undefined') {
-        if (typeof param.schema['$ref'] === 'string' &&
-          /^#/.test(param.schema['$ref'])) {
-          param.schema = resolveRef(openApi, param.schema['$ref'])
-          if (typeof param.schema.type === 'undefined') { // many schemas don't have an explicit type
-            param.schema.type = 'object';
-          }
-        }
-      }
-      if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'query') {
-        let value = 'SOME_' + (param.type || param.schema.type).toUpperCase() + '_VALUE'
-        if (typeof values[param.name] !== 'undefined') {
-          value = values[param.name] + ''  /* adding a empty string to convert to string */
-        } else if (typeof param.default !== 'undefined') {
-          value = param.default + ''
-        } else if (typeof param.schema !== 'undefined' && typeof param.schema.example !== 'undefined') {
-          value = param.schema.example + ''
-        }
-        queryStrings.push({
-          name: param.name,
-          value: value
-        })
-      }
+  const formTypes = consumes.filter(function (type) {
+    type = type.split(';')[0].trim().toLowerCase()
+    return type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data'
+  })
+  if (formParams.some(param => param.type === 'file')) {
+    return 'multipart/form-data'
+  }
+  if (options && formTypes.indexOf(options.contentType) !== -1) {
+    return options.contentType
+  }
+  return formTypes[0] || 'application/x-www-form-urlencoded'
+}
+
+const isParameterIn = function (param, location) {
+  return typeof param.in === 'string' && param.in.toLowerCase() === location
+}
+
+/**
+ * Create a sample value for the given schema. The sampler options of the
+ * caller (options.sampler) take precedence over the given defaults. If
+ * sampling fails and options.continueOnError is set, the failure is added to
+ * the given warnings and undefined is returned.
+ *
+ * @param  {object} openApi         OpenAPI document
+ * @param  {object} schema          Schema to sample
+ * @param  {array}  tokens          Tokens of the JSON pointer to the schema
+ * @param  {object} options         Generation options
+ * @param  {array}  warnings        Optional: List to add warnings to
+ * @param  {object} samplerOptions  Optional: Options of openapi-sampler,
+ *                                  defaults to skipping readOnly properties
+ * @return {any}                    Sample value
+ */
+const sampleSchema = function (openApi, schema, tokens, options, warnings, samplerOptions) {
+  const settings = Object.assign({}, samplerOptions || {skipReadOnly: true}, getSamplerOptions(options))
+  const maxDepth = settings.maxDepth
+  delete settings.maxDepth
+  try {
+    // OpenAPI 3.1 schemas are converted into schemas openapi-sampler understands:
+    const spec = SchemaConverter.convertDocument(openApi)
+    const sample = OpenAPISampler.sample(spec !== openApi ? SchemaConverter.convertSchema(schema) : schema, settings, spec)
+    return typeof maxDepth === 'number' ? truncateSample(sample, maxDepth) : sample
+  } catch (err) {
+    const error = new Errors.SampleError(err.message, RefResolver.formatPointer(tokens))
+    if (options.continueOnError && Array.isArray(warnings)) {
+      warnings.push(Errors.toWarning(error))
+      return undefined
     }
+    throw error
   }
+}
 
-  return queryStrings
+/**
+ * Return the sampler options given by the caller: either an object with
+ * options of openapi-sampler and maxDepth, or 'minimal' for required
+ * properties only.
+ *
+ * @param  {object} options Generation options
+ * @return {object}         Sampler options
+ */
+const getSamplerOptions = function (options) {
+  if (options.sampler === 'minimal') {
+    return {skipNonRequired: true}
+  }
+  return isPlainObject(options.sampler) ? options.sampler : {}
 }
 
 /**
- * Return the path with the parameters example values used if specified.
+ * Return a copy of the given sample in which objects and arrays nested
+ * deeper than the given depth are empty.
  *
- * @param  {Object} openApi OpenApi document
- * @param  {string} path    Key of the path
- * @param  {string} method  Key of the method
- * @return {string}         Full path including example values
+ * @param  {any}    value Sample value
+ * @param  {number} depth Number of levels of objects and arrays to keep
+ * @return {any}          Truncated sample value
  */
-const getFullPath = function (openApi, path, method) {
-  let fullPath = path
-  const parameters = openApi.paths[path].parameters || openApi.paths[path][method].parameters;
-
-  if (typeof parameters !== 'undefined') {
-    for (let i in parameters) {
-      let param = parameters[i]
-      if (typeof param['$ref'] === 'string' &&
-        /^#/.test(param['$ref'])) {
-        param = resolveRef(openApi, param['$ref'])
-      }
-      if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'path') {
-        if (typeof param.example !== 'undefined') { // only if the schema has an example value
-          fullPath = fullPath.replace("{" + param.name + "}", param.example)
-        }
+const truncateSample = function (value, depth) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (depth <= 0) {
+    return Array.isArray(value) ? [] : {}
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => truncateSample(item, depth - 1))
+  }
+  const copy = {}
+  for (let key in value) {
+    copy[key] = truncateSample(value[key], depth - 1)
+  }
+  return copy
+}
+
+/**
+ * Sample the given request body schema. If options.bodyVariant names one of
+ * the variants of the schema (see getSchemaVariants), the schema of that
+ * variant is sampled, with its discriminator value set.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} schema    Schema of the request body
+ * @param  {array}  tokens    Tokens of the JSON pointer to the schema
+ * @param  {object} options   Generation options
+ * @param  {array}  warnings  Optional: List to add warnings to
+ * @return {any}              Sample value
+ */
+const sampleBodySchema = function (openApi, schema, tokens, options, warnings) {
+  if (typeof options.bodyVariant === 'undefined') {
+    return sampleSchema(openApi, schema, tokens, options, warnings)
+  }
+
+  const variant = getSchemaVariants(openApi, schema)
+    .find(candidate => candidate.name === options.bodyVariant)
+  if (typeof variant === 'undefined') {
+    throw new Errors.OpenAPISnippetError('Unknown body variant: ' + options.bodyVariant,
+      'UNKNOWN_BODY_VARIANT', RefResolver.formatPointer(tokens))
+  }
+  const sample = sampleSchema(openApi, variant.schema, tokens, options, warnings)
+  if (typeof variant.discriminator !== 'undefined' && isPlainObject(sample)) {
+    sample[variant.discriminator.propertyName] = variant.discriminator.value
+  }
+  return sample
+}
+
+/**
+ * Get the variants of the given schema: one for every value of the mapping
+ * of its discriminator, or else one for every branch of its oneOf (or anyOf).
+ * Variants are named after the mapping value, or else the title of the
+ * branch, or the name of the schema the branch references.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {object} schema  Schema, possibly a reference
+ * @return {array}          List of objects with name, title, schema and, if
+ *                          the schema has a discriminator, its propertyName
+ *                          and value
+ */
+const getSchemaVariants = function (openApi, schema) {
+  schema = resolveRef(openApi, schema)
+  if (!isPlainObject(schema)) {
+    return []
+  }
+
+  const discriminator = isPlainObject(schema.discriminator) &&
+    typeof schema.discriminator.propertyName === 'string' ? schema.discriminator : undefined
+  if (discriminator && isPlainObject(discriminator.mapping) && Object.keys(discriminator.mapping).length > 0) {
+    return Object.keys(discriminator.mapping).map(function (value) {
+      const target = discriminator.mapping[value]
+      return {
+        name: value,
+        title: value,
+        schema: {'$ref': /^#/.test(target) ? target : '#/components/schemas/' + target},
+        discriminator: {propertyName: discriminator.propertyName, value}
       }
-    }
+    })
   }
-  return fullPath
+
+  const branches = Array.isArray(schema.oneOf) ? schema.oneOf : schema.anyOf
+  if (!Array.isArray(branches)) {
+    return []
+  }
+  const names = {}
+  return branches.map(function (branch, index) {
+    const schemaName = isPlainObject(branch) && typeof branch['$ref'] === 'string'
+      ? branch['$ref'].split('/').pop() : undefined
+    const resolved = resolveRef(openApi, branch) || {}
+    const title = resolved.title || schemaName || 'Option ' + (index + 1)
+
+    let name = title
+    if (names[title]) {
+      name += ' (' + (++names[title]) + ')'
+    } else {
+      names[title] = 1
+    }
+
+    const variant = {name, title, schema: branch}
+    if (discriminator && typeof schemaName !== 'undefined') {
+      variant.discriminator = {propertyName: discriminator.propertyName, value: schemaName}
+    }
+    return variant
+  })
 }
 
 /**
- * Get an array of objects describing the header for a path and method pair
- * described in the given OpenAPI document.
+ * Get the variants of the request body of the given endpoint, which can be
+ * selected using options.bodyVariant: one for every value of the mapping of
+ * the discriminator of the request body schema, or else one for every branch
+ * of its oneOf (or anyOf).
  *
- * @param  {Object} openApi OpenAPI document
+ * @param  {object} openApi OpenAPI document
  * @param  {string} path    Key of the path
  * @param  {string} method  Key of the method
- * @return {array}          List of objects describing the header
+ * @param  {object} options Optional: Generation options, e.g., contentType
+ * @return {array}          List of objects with name and title
  */
-const getHeadersArray = function (openApi, path, method) {
-  const headers = []
-  const pathObj = openApi.paths[path][method]
-
-  // 'accept' header:
-  if (typeof pathObj.consumes !== 'undefined') {
-    for (let i in pathObj.consumes) {
-      const type = pathObj.consumes[i]
-      headers.push({
-        name: 'accept',
-        value: type
-      })
-    }
+const getBodyVariants = function (openApi, path, method, options) {
+  if (typeof options === 'undefined') {
+    options = {}
   }
 
-  // 'content-type' header:
-  if (typeof pathObj.produces !== 'undefined') {
-    for (let j in pathObj.produces) {
-      const type2 = pathObj.produces[j]
-      headers.push({
-        name: 'content-type',
-        value: type2
-      })
+  let schema
+  const parameters = getParameters(openApi, path, method)
+  const bodyParam = parameters.find(param => isParameterIn(param, 'body'))
+  if (typeof bodyParam !== 'undefined') {
+    schema = bodyParam.schema
+  } else {
+    const requestBody = resolveRef(openApi, getOperation(openApi, path, method).requestBody)
+    const mediaType = getRequestMediaType(requestBody, options)
+    if (mediaType !== null) {
+      schema = (requestBody.content[mediaType] || {}).schema
     }
   }
 
-  // v3 'content-type' header:
-  if (pathObj.requestBody && pathObj.requestBody.content) {
-      for (const type3 of Object.keys(pathObj.requestBody.content)) {
-          headers.push({
-              name: 'content-type',
-              value: type3
-          });
-      }
+  return getSchemaVariants(openApi, schema).map(function (variant) {
+    return {name: variant.name, title: variant.title}
+  })
+}
+
+/**
+ * Get the responses of the given endpoint, in the order they are defined.
+ * Every response has its status code (or 'default'), description, headers
+ * and - if it has a body - the media type and an example body. The body is
+ * the named example selected by options.example, or else the first example
+ * of the media type, or else sampled from the schema, without writeOnly
+ * properties.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {string} path      Key of the path
+ * @param  {string} method    Key of the method
+ * @param  {object} options   Optional: Generation options
+ * @param  {array}  warnings  Optional: List to add sampling failures to, if
+ *                            options.continueOnError is set
+ * @return {array}            List of responses
+ */
+const getResponses = function (openApi, path, method, options, warnings) {
+  if (typeof options === 'undefined') {
+    options = {}
   }
+  const operation = getOperation(openApi, path, method)
 
-  // headers defined in path object:
-  if (typeof pathObj.parameters !== 'undefined') {
-    for (let k in pathObj.parameters) {
-      const param = pathObj.parameters[k]
-      if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'header') {
-        headers.push({
-          name: param.name,
-          value: 'SOME_' + (param.type||param.schema.type).toUpperCase() + '_VALUE'
-        })
-      }
+  const responses = []
+  for (let status in operation.responses) {
+    const tokens = getPathTokens(openApi, path).concat(method, 'responses', status)
+    RefResolver.checkRefs(openApi, operation.responses[status], tokens)
+    const response = resolveRef(openApi, operation.responses[status]) || {}
+
+    const result = {
+      status,
+      description: response.description,
+      headers: getResponseHeaders(openApi, response, tokens, options, warnings)
+    }
+    const body = typeof response.content !== 'undefined'
+      ? getResponseBody(openApi, response, tokens, options, warnings)
+      : getSwaggerResponseBody(openApi, operation, response, tokens, options, warnings)
+    if (body !== null) {
+      result.mediaType = body.mediaType
+      result.body = body.text
     }
+    responses.push(result)
   }
+  return responses
+}
 
-  // security:
-  let basicAuthDef
-  let apiKeyAuthDef
-  let oauthDef
-  if (typeof pathObj.security !== 'undefined') {
-    for (var l in pathObj.security) {
-      const secScheme = Object.keys(pathObj.security[l])[0]
-      const secDefinition = openApi.securityDefinitions ?
-        openApi.securityDefinitions[secScheme] :
-        openApi.components.securitySchemes[secScheme];
-      const authType = secDefinition.type.toLowerCase();
-      let authScheme = null;
+/**
+ * Return the first success response of the given responses: the first 2xx
+ * response, or else the default response.
+ *
+ * @param  {array} responses  List of responses, see getResponses
+ * @return {object}           Response, or undefined if there is none
+ */
+const getSuccessResponse = function (responses) {
+  return responses.find(item => /^2/.test(item.status)) ||
+    responses.find(item => item.status === 'default')
+}
 
-      if(authType !== 'apikey' && secDefinition.scheme != null){
-        authScheme = secDefinition.scheme.toLowerCase();
-      }
+/**
+ * Get the media types of the success responses of the given OpenAPI 3
+ * operation: those of the 2xx responses, followed by those of the default
+ * response.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} operation Operation object
+ * @return {array}            List of media types
+ */
+const getResponseMediaTypes = function (openApi, operation) {
+  const statuses = Object.keys(operation.responses || {})
+  const success = statuses.filter(status => /^2(\d\d|XX)$/i.test(status))
+  if (statuses.indexOf('default') !== -1) {
+    success.push('default')
+  }
 
-      switch (authType) {
-        case 'basic':
-          basicAuthDef = secScheme
-          break
-        case 'apikey':
-          if (secDefinition.in === 'header') {
-            apiKeyAuthDef = secDefinition
-          }
-          break
-        case 'oauth2':
-          oauthDef = secScheme
-          break
-        case 'http':
-          switch(authScheme){
-            case 'bearer':
-              oauthDef = secScheme
-              break
-            case 'basic':
-              basicAuthDef = secScheme
-              break
-          }
-          break
-      }
-    }
-  } else if (typeof openApi.security !== 'undefined') {
-    // Need to check OAS 3.0 spec about type http and scheme
-    for (let m in openApi.security) {
-      const secScheme = Object.keys(openApi.security[m])[0]
-      const secDefinition = openApi.components.securitySchemes[secScheme];
-      const authType = secDefinition.type.toLowerCase();
-      let authScheme = null;
-      
-      if(authType !== 'apikey' && authType !== 'oauth2'){
-        authScheme = secDefinition.scheme.toLowerCase();
-      }
-      
-      switch (authType) {
-        case 'http':
-          switch(authScheme){
-            case 'bearer': 
-              oauthDef = secScheme
-              break
-            case 'basic':
-              basicAuthDef = secScheme
-              break
-          }
-          break
-        case 'basic':
-          basicAuthDef = secScheme
-          break
-        case 'apikey':
-          if (secDefinition.in === 'header') {
-            apiKeyAuthDef = secDefinition
-          }
-          break
-        case 'oauth2':
-          oauthDef = secScheme
-          break
+  const mediaTypes = []
+  for (let i in success) {
+    const response = resolveRef(openApi, operation.responses[success[i]]) || {}
+    for (let mediaType in response.content) {
+      if (mediaTypes.indexOf(mediaType) === -1) {
+        mediaTypes.push(mediaType)
       }
     }
   }
+  return mediaTypes
+}
 
-  if (basicAuthDef) {
-    headers.push({
-      name: 'Authorization',
-      value: 'Basic ' + 'REPLACE_BASIC_AUTH'
-    })
-  } else if (apiKeyAuthDef) {
-    headers.push({
-      name: apiKeyAuthDef.name,
-      value: 'REPLACE_KEY_VALUE'
-    })
-  } else if (oauthDef) {
+/**
+ * Get the headers of the given response, with their description and an
+ * example value.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} response  Resolved Response object
+ * @param  {array}  tokens    Tokens of the JSON pointer to the response
+ * @param  {object} options   Generation options
+ * @param  {array}  warnings  Optional: List to add warnings to
+ * @return {array}            List of headers, with name, description and value
+ */
+const getResponseHeaders = function (openApi, response, tokens, options, warnings) {
+  const headers = []
+  for (let name in response.headers) {
+    const header = resolveRef(openApi, response.headers[name]) || {}
+    // OpenAPI 3 headers have a schema or content, Swagger 2 headers are
+    // schemas themselves:
+    const hasContent = typeof header.schema === 'undefined' && ParameterSerializer.hasContent(header)
+    const schema = typeof header.schema !== 'undefined' || hasContent ? getParameterSchema(openApi, header) : header
+    let value = getParameterExample(openApi, header, schema, options)
+    if (typeof value === 'undefined') {
+      value = sampleSchema(openApi, schema, tokens.concat('headers', name), options, warnings)
+    }
     headers.push({
-      name: 'Authorization',
-      value: 'Bearer ' + 'REPLACE_BEARER_TOKEN'
+      name,
+      description: header.description,
+      value: typeof value !== 'undefined' ? serializeSimple(header, value, header.explode === true) : ''
     })
   }
-
   return headers
 }
 
 /**
- * Produces array of HAR files for given OpenAPI document
+ * Get the media type and example body of the given OpenAPI 3 response.
  *
- * @param  {object}   openApi          OpenAPI document
- * @param  {Function} callback
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} response  Resolved OpenAPI 3 Response object
+ * @param  {array}  tokens    Tokens of the JSON pointer to the response
+ * @param  {object} options   Generation options
+ * @param  {array}  warnings  Optional: List to add warnings to
+ * @return {object}           Object with mediaType and text, or null
  */
-const openApiToHarList = function (openApi) {
-  try {
-    // determine basePath:
-    const baseUrl = getBaseUrl(openApi)
-
-    // iterate openApi and create har objects:
-    const harList = []
-    for (let path in openApi.paths) {
-      for (let method in openApi.paths[path]) {
-        const url = baseUrl + path
-        const har = createHar(openApi, path, method)
-        harList.push({
-          method: method.toUpperCase(),
-          url: url,
-          description: openApi.paths[path][method].description || 'No description available',
-          har: har
-        })
-      }
-    }
+const getResponseBody = function (openApi, response, tokens, options, warnings) {
+  const mediaType = selectMediaType(Object.keys(response.content), options.accept)
+  if (mediaType === null) {
+    return null
+  }
+
+  // 'example' and 'examples' are mutually exclusive:
+  const mediaTypeObj = response.content[mediaType] || {}
+  const example = getNamedExample(openApi, mediaTypeObj.examples, options.example) ||
+    getNamedExample(openApi, mediaTypeObj.examples, Object.keys(mediaTypeObj.examples || {})[0])
+  let sample
+  if (typeof example !== 'undefined') {
+    sample = example.value
+  } else if (typeof mediaTypeObj.example !== 'undefined') {
+    sample = mediaTypeObj.example
+  } else if (typeof mediaTypeObj.schema !== 'undefined') {
+    sample = sampleSchema(openApi, mediaTypeObj.schema, tokens.concat('content', mediaType, 'schema'),
+      options, warnings, {skipWriteOnly: true})
+  }
+  if (typeof sample === 'undefined') {
+    return {mediaType, text: undefined}
+  }
 
-    return harList
-  } catch (e) {
-    console.log(e);
+  return {
+    mediaType,
+    text: renderResponseBody(openApi, mediaType, mediaTypeObj.schema, sample)
   }
 }
 
 /**
- * Returns the value referenced in the given reference string
+ * Get the media type and example body of the given Swagger 2 response. The
+ * media type is one of the operation's (or else the document's) 'produces'.
  *
- * @param  {object} openApi  OpenAPI document
- * @param  {string} ref      A reference string
- * @return {any}
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} operation Operation object
+ * @param  {object} response  Resolved Swagger 2 Response object
+ * @param  {array}  tokens    Tokens of the JSON pointer to the response
+ * @param  {object} options   Generation options
+ * @param  {array}  warnings  Optional: List to add warnings to
+ * @return {object}           Object with mediaType and text, or null
  */
-const resolveRef = function (openApi, ref) {
-  const parts = ref.split('/')
+const getSwaggerResponseBody = function (openApi, operation, response, tokens, options, warnings) {
+  if (typeof response.schema === 'undefined') {
+    return null
+  }
+  const mediaType = selectMediaType(operation.produces || openApi.produces, options.accept) || 'application/json'
+
+  let sample
+  if (response.examples && typeof response.examples[mediaType] !== 'undefined') {
+    sample = response.examples[mediaType]
+  } else {
+    sample = sampleSchema(openApi, response.schema, tokens.concat('schema'), options, warnings, {skipWriteOnly: true})
+  }
+  if (typeof sample === 'undefined') {
+    return {mediaType, text: undefined}
+  }
 
-  if (parts.length <= 1) return {} // = 3
+  return {
+    mediaType,
+    text: renderResponseBody(openApi, mediaType, response.schema, sample)
+  }
+}
 
-  const recursive = function (obj, index) {
-    if (index + 1 < parts.length) { // index = 1
-      let newCount = index + 1
-      return recursive(obj[parts[index]], newCount)
-    } else {
-      return obj[parts[index]]
-    }
+/**
+ * Render the given example body in the given media type: XML (honoring the
+ * 'xml' hints of the schema), or else indented JSON, unless it is a string.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {string} mediaType Media type of the body
+ * @param  {object} schema    Optional: Schema of the body
+ * @param  {any}    sample    Example body
+ * @return {string}           Rendered body
+ */
+const renderResponseBody = function (openApi, mediaType, schema, sample) {
+  const type = mediaType.split(';')[0].trim().toLowerCase()
+  if (/^(application|text)\/(.+\+)?xml$/.test(type) && typeof sample !== 'string') {
+    return XmlSerializer.serialize(sample, schema, openApi)
   }
-  return recursive(openApi, 1)
+  if (isJsonMediaType(type) || typeof sample !== 'string') {
+    return JSON.stringify(sample, null, 2)
+  }
+  return sample
 }
 
-module.exports = {
-  getAll: openApiToHarList,
-  getEndpoint: createHar
+/**
+ * Deep-merge the given value onto the given sample: objects are merged
+ * recursively, all other values replace the sampled ones.
+ *
+ * @param  {any} sample Sampled value
+ * @param  {any} value  Optional: Value to merge onto the sample
+ * @return {any}        Merged value
+ */
+const mergeDeep = function (sample, value) {
+  if (typeof value === 'undefined') {
+    return sample
+  }
+  if (!isPlainObject(sample) || !isPlainObject(value)) {
+    return value
+  }
+
+  const merged = Object.assign({}, sample)
+  for (let key in value) {
+    merged[key] = mergeDeep(sample[key], value[key])
+  }
+  return merged
+}
+
+const isPlainObject = function (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Get the Path Item object of the given path. A referenced Path Item object
+ * is resolved, with the fields next to the reference taking precedence.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @return {Object}         Path Item object
+ */
+const getPathItem = function (openApi, path) {
+  const pathItem = openApi.paths ? openApi.paths[path] : undefined
+  if (!pathItem || typeof pathItem['$ref'] !== 'string') {
+    return pathItem
+  }
+
+  const resolved = Object.assign({}, resolveRef(openApi, pathItem), pathItem)
+  delete resolved['$ref']
+  return resolved
+}
+
+/**
+ * Get the Operation object of the given path and method pair.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @return {Object}         Operation object
+ */
+const getOperation = function (openApi, path, method) {
+  return getPathItem(openApi, path)[method]
+}
+
+/**
+ * Get the methods of the operations of the given path. Other fields of the
+ * Path Item object, e.g., 'parameters' or 'servers', are left out.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @return {array}          List of methods, e.g., ['get', 'post']
+ */
+const getMethods = function (openApi, path) {
+  return Object.keys(getPathItem(openApi, path) || {}).filter(key => HTTP_METHODS.indexOf(key) !== -1)
+}
+
+/**
+ * Get the parameters of the given path and method pair, with references
+ * resolved. Parameters of the operation override parameters of the path item
+ * with the same name and location.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @return {array}          List of resolved Parameter objects
+ */
+const getParameters = function (openApi, path, method) {
+  const pathParameters = getPathItem(openApi, path).parameters || []
+  const operationParameters = getOperation(openApi, path, method).parameters || []
+
+  const parameters = []
+  const keys = {}
+  const addParameter = function (parameter) {
+    const param = resolveRef(openApi, parameter)
+    if (!param || typeof param.name === 'undefined') return
+    const key = param.name + '|' + (param.in || '').toLowerCase()
+    if (typeof keys[key] !== 'undefined') {
+      parameters[keys[key]] = param
+    } else {
+      keys[key] = parameters.length
+      parameters.push(param)
+    }
+  }
+
+  pathParameters.forEach(addParameter)
+  operationParameters.forEach(addParameter)
+  return parameters
+}
+
+/**
+ * Get the example value of the given parameter: the named example selected by
+ * options.example, or else the example or default of the parameter, or else
+ * the example (or first of the examples) or default of its schema.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {object} param   Resolved Parameter object
+ * @param  {object} schema  Optional: Resolved schema of the parameter
+ * @param  {object} options Optional: name of the example to use
+ * @return {any}            Example value, or undefined
+ */
+const getParameterExample = function (openApi, param, schema, options) {
+  const example = getNamedExample(openApi, param.examples, options && options.example)
+  if (typeof example !== 'undefined') {
+    return example.value
+  } else if (typeof param.example !== 'undefined') {
+    return param.example
+  } else if (typeof param.default !== 'undefined') {
+    return param.default
+  } else if (schema && typeof schema.example !== 'undefined') {
+    return schema.example
+  } else if (schema && Array.isArray(schema.examples) && schema.examples.length > 0) { // OpenAPI 3.1
+    return schema.examples[0]
+  } else if (schema && typeof schema.default !== 'undefined') {
+    return schema.default
+  }
+  return undefined
+}
+
+/**
+ * Serialize the given value of the given header or cookie parameter, using
+ * the 'simple' style unless the parameter has a 'content'.
+ *
+ * @param  {object} param     Resolved Parameter object
+ * @param  {any} value        Value of the parameter
+ * @param  {boolean} explode  Whether to explode objects into key=value pairs
+ * @return {string}           Serialized value
+ */
+const serializeSimple = function (param, value, explode) {
+  if (ParameterSerializer.hasContent(param)) {
+    return ParameterSerializer.serializeContent(param, value)
+  }
+  return ParameterSerializer.serializeSimple(value, explode)
+}
+
+/**
+ * Get the resolved schema of the given parameter, or of the first media type
+ * of its 'content'. In OpenAPI 3.1, keywords next to a reference take
+ * precedence over those of the referenced schema.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {object} param   Resolved Parameter object
+ * @return {object}         Schema, or undefined if the parameter has none
+ */
+const getParameterSchema = function (openApi, param) {
+  if (typeof param.schema === 'undefined' && ParameterSerializer.hasContent(param)) {
+    const mediaTypeObj = param.content[Object.keys(param.content)[0]] || {}
+    return getParameterSchema(openApi, {schema: mediaTypeObj.schema})
+  }
+  const schema = resolveRef(openApi, param.schema)
+  if (!SchemaConverter.isOpenApi31(openApi) || !isPlainObject(schema) || !isPlainObject(param.schema) ||
+    typeof param.schema['$ref'] !== 'string') {
+    return schema
+  }
+
+  const merged = Object.assign({}, schema, param.schema)
+  delete merged['$ref']
+  return merged
+}
+
+/**
+ * Validate the given values of the parameters of the given path and method
+ * pair against their schemas (Swagger 2: against the parameters), and find
+ * missing required parameters and values of unknown parameters.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} values  Structured values for the parameters and the
+ *                          payload, see normalizeValues
+ * @return {array}          List of diagnostics, each with a code
+ *                          (INVALID_VALUE, MISSING_PARAMETER or
+ *                          UNKNOWN_PARAMETER), message, in and name of the
+ *                          parameter, and the pointer to the parameter if it
+ *                          is defined. Diagnostics of invalid values also
+ *                          name the violated keyword of the schema.
+ */
+const validateValues = function (openApi, path, method, values) {
+  checkEndpoint(openApi, path, method)
+  const diagnostics = []
+  const parameters = getParameters(openApi, path, method)
+  const hasFormData = parameters.some(param => isParameterIn(param, 'formdata'))
+  const supplied = {
+    path: values.path,
+    query: values.query,
+    header: values.header,
+    cookie: values.cookie,
+    formData: hasFormData && isPlainObject(values.body) ? values.body : {}
+  }
+  const known = {path: {}, query: {}, header: {}, cookie: {}, formData: {}}
+
+  for (let i in parameters) {
+    const param = parameters[i]
+    const location = Object.keys(supplied).find(key => isParameterIn(param, key.toLowerCase()))
+    if (typeof location === 'undefined') continue
+
+    const name = location === 'header' ? param.name.toLowerCase() : param.name
+    known[location][name] = true
+    const pointer = getParameterPointer(openApi, path, method, param)
+    const description = (location === 'formData' ? 'form' : location) + ' parameter ' + param.name
+
+    const value = supplied[location][name]
+    if (typeof value === 'undefined') {
+      if (param.required === true || location === 'path') {
+        diagnostics.push({
+          code: 'MISSING_PARAMETER',
+          message: 'Missing required ' + description,
+          in: location,
+          name: param.name,
+          pointer
+        })
+      }
+      continue
+    }
+
+    // Swagger 2 parameters other than body parameters are their own schema:
+    const schema = typeof param.schema !== 'undefined' ? getParameterSchema(openApi, param) : param
+    const violations = SchemaValidator.validate(openApi, schema, value)
+    for (let j in violations) {
+      diagnostics.push({
+        code: 'INVALID_VALUE',
+        message: 'Invalid value of ' + description + violations[j].location + ': ' + violations[j].message,
+        in: location,
+        name: param.name,
+        keyword: violations[j].keyword,
+        pointer
+      })
+    }
+  }
+
+  for (let location in supplied) {
+    for (let name in supplied[location]) {
+      if (typeof known[location][name] === 'undefined') {
+        diagnostics.push({
+          code: 'UNKNOWN_PARAMETER',
+          message: 'Unknown ' + (location === 'formData' ? 'form' : location) + ' parameter ' + name,
+          in: location,
+          name
+        })
+      }
+    }
+  }
+  return diagnostics
+}
+
+/**
+ * Get the JSON pointer to the definition of the given parameter of the given
+ * path and method pair, within the operation or the path item.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} param   Resolved Parameter object
+ * @return {string}         JSON pointer, or undefined
+ */
+const getParameterPointer = function (openApi, path, method, param) {
+  const lists = [
+    [getOperation(openApi, path, method).parameters, getPathTokens(openApi, path).concat(method, 'parameters')],
+    [getPathItem(openApi, path).parameters, getPathTokens(openApi, path).concat('parameters')]
+  ]
+  for (let [list, tokens] of lists) {
+    for (let i = 0; i < (list || []).length; i++) {
+      if (resolveRef(openApi, list[i]) === param) {
+        return RefResolver.formatPointer(tokens.concat(i))
+      }
+    }
+  }
+  return undefined
+}
+
+/**
+ * Return the Example object of the given name from the given examples map,
+ * if it defines an inline value. References are resolved.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {object} examples  Optional: Map of names to Example objects
+ * @param  {string} name      Optional: Name of the example
+ * @return {object}           Example object, or undefined
+ */
+const getNamedExample = function (openApi, examples, name) {
+  if (typeof examples === 'undefined' || typeof name === 'undefined' ||
+    !Object.prototype.hasOwnProperty.call(examples, name)) {
+    return undefined
+  }
+  const example = resolveRef(openApi, examples[name])
+  if (!example || typeof example.value === 'undefined') {
+    return undefined
+  }
+  return example
+}
+
+/**
+ * Get the named examples (OpenAPI 3 'examples') defined for the request body
+ * and the parameters of the given endpoint. Examples of the same name are
+ * combined into one entry.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} options Optional: Generation options, e.g., contentType
+ * @return {array}          List of objects with name, summary and description
+ */
+const getExamples = function (openApi, path, method, options) {
+  openApi = RefResolver.bundle(openApi, options)
+  const operation = getOperation(openApi, path, method)
+  const examples = []
+  const names = {}
+
+  const addExamples = function (examplesObj) {
+    for (let name in examplesObj) {
+      const example = getNamedExample(openApi, examplesObj, name)
+      if (typeof example === 'undefined') continue
+      if (typeof names[name] === 'undefined') {
+        names[name] = {name}
+        examples.push(names[name])
+      }
+      if (typeof names[name].summary === 'undefined' && typeof example.summary !== 'undefined') {
+        names[name].summary = example.summary
+      }
+      if (typeof names[name].description === 'undefined' && typeof example.description !== 'undefined') {
+        names[name].description = example.description
+      }
+    }
+  }
+
+  const requestBody = resolveRef(openApi, operation.requestBody)
+  const mediaType = getRequestMediaType(requestBody, options)
+  if (mediaType !== null) {
+    addExamples(requestBody.content[mediaType].examples)
+  }
+
+  const parameters = getParameters(openApi, path, method)
+  for (let i in parameters) {
+    addExamples(parameters[i].examples)
+  }
+
+  return examples
+}
+
+/**
+ * Select the media type of the given request body to render the payload in.
+ * The caller's choice (options.contentType) is used if the request body
+ * offers it, otherwise the first JSON media type, or the first media type.
+ *
+ * @param  {object} requestBody Resolved OpenAPI 3 Request Body object
+ * @param  {object} options     Optional: contentType to select
+ * @return {string}             Media type, or null if there is none
+ */
+const getRequestMediaType = function (requestBody, options) {
+  if (!requestBody || !requestBody.content) {
+    return null
+  }
+  return selectMediaType(Object.keys(requestBody.content), options && options.contentType)
+}
+
+/**
+ * Select one of the given media types: the first of the preferred ones that
+ * is offered, otherwise the first JSON media type, or the first media type.
+ *
+ * @param  {array} mediaTypes       List of offered media types
+ * @param  {string|array} preferred Optional: Preferred media type(s), in order
+ * @return {string}                 Media type, or null if none is offered
+ */
+const selectMediaType = function (mediaTypes, preferred) {
+  if (!Array.isArray(mediaTypes) || mediaTypes.length === 0) {
+    return null
+  }
+
+  if (typeof preferred !== 'undefined') {
+    preferred = [].concat(preferred)
+    for (let i in preferred) {
+      if (mediaTypes.indexOf(preferred[i]) !== -1) {
+        return preferred[i]
+      }
+    }
+  }
+
+  for (let j in mediaTypes) {
+    if (isJsonMediaType(mediaTypes[j])) {
+      return mediaTypes[j]
+    }
+  }
+  return mediaTypes[0]
+}
+
+/**
+ * Determine whether the given media type denotes JSON, e.g.,
+ * 'application/json' or 'application/vnd.api+json'.
+ *
+ * @param  {string} mediaType
+ * @return {boolean}
+ */
+const isJsonMediaType = function (mediaType) {
+  const type = mediaType.split(';')[0].trim().toLowerCase()
+  return /^(application|text)\/(.+\+)?(x-)?json$/.test(type)
+}
+
+/**
+ * Create the HAR postData object for the given sample, rendered in the given
+ * media type.
+ *
+ * @param  {object} openApi       OpenAPI document
+ * @param  {string} mediaType     Media type to render the sample in
+ * @param  {object} mediaTypeObj  OpenAPI 3 Media Type object
+ * @param  {any}    sample        Sampled payload
+ * @param  {object} options       Generation options
+ * @return {object}               HAR postData object
+ */
+const getPostData = function (openApi, mediaType, mediaTypeObj, sample, options) {
+  const type = mediaType.split(';')[0].trim().toLowerCase()
+
+  if (type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data') {
+    return {
+      mimeType: mediaType,
+      params: getFormParams(openApi, mediaTypeObj, sample, type === 'multipart/form-data', options)
+    }
+  }
+
+  if (/^(application|text)\/(.+\+)?xml$/.test(type)) {
+    return {
+      mimeType: mediaType,
+      text: XmlSerializer.serialize(sample, mediaTypeObj.schema, openApi)
+    }
+  }
+
+  if (isJsonMediaType(type) || typeof sample !== 'string') {
+    return {
+      mimeType: mediaType,
+      text: JSON.stringify(sample)
+    }
+  }
+
+  return {
+    mimeType: mediaType,
+    text: sample
+  }
+}
+
+/**
+ * Get the HAR params describing the given sample as form data. The OpenAPI 3
+ * encoding object determines the content type of multipart parts, and the
+ * style (explode) of urlencoded arrays and objects.
+ *
+ * @param  {object}  openApi      OpenAPI document
+ * @param  {object}  mediaTypeObj OpenAPI 3 Media Type object
+ * @param  {any}     sample       Sampled payload
+ * @param  {boolean} multipart    Whether to create multipart/form-data parts
+ * @param  {object}  options      Generation options
+ * @return {array}                List of HAR params
+ */
+const getFormParams = function (openApi, mediaTypeObj, sample, multipart, options) {
+  const params = []
+  if (sample === null || typeof sample !== 'object') {
+    return params
+  }
+
+  const schema = resolveRef(openApi, mediaTypeObj.schema) || {}
+  const properties = SchemaConverter.getProperties(openApi, schema)
+  const encodings = mediaTypeObj.encoding || {}
+
+  for (let name in sample) {
+    const value = sample[name]
+    const encoding = encodings[name] || {}
+    const propSchema = resolveRef(openApi, properties[name]) || {}
+
+    if (multipart) {
+      const itemSchema = getSchemaType(propSchema) === 'array' ? resolveRef(openApi, propSchema.items) || {} : propSchema
+      const values = Array.isArray(value) && !isComplexArray(value) ? value : [value]
+      for (let i in values) {
+        const param = {name}
+        if (isBinarySchema(itemSchema)) {
+          param.value = ''
+          param.fileName = getPlaceholder({name, in: 'formData', type: 'file'}, options)
+          param.contentType = encoding.contentType || 'application/octet-stream'
+        } else if (values[i] !== null && typeof values[i] === 'object') {
+          param.value = JSON.stringify(values[i])
+          param.contentType = encoding.contentType || 'application/json'
+        } else {
+          param.value = values[i] + ''
+          if (encoding.contentType) param.contentType = encoding.contentType
+        }
+        params.push(param)
+      }
+    } else {
+      const explode = typeof encoding.explode !== 'undefined'
+        ? encoding.explode
+        : (typeof encoding.style === 'undefined' || encoding.style === 'form')
+      if (Array.isArray(value)) {
+        if (explode) {
+          for (let j in value) {
+            params.push({name, value: formValue(value[j])})
+          }
+        } else {
+          params.push({name, value: value.map(formValue).join(',')})
+        }
+      } else if (value !== null && typeof value === 'object') {
+        if (explode) {
+          for (let key in value) {
+            params.push({name: key, value: formValue(value[key])})
+          }
+        } else {
+          const pairs = []
+          for (let key in value) {
+            pairs.push(key, formValue(value[key]))
+          }
+          params.push({name, value: pairs.join(',')})
+        }
+      } else {
+        params.push({name, value: formValue(value)})
+      }
+    }
+  }
+
+  return params
+}
+
+const isBinarySchema = function (schema) {
+  // OpenAPI 3.1 describes binary strings by their media type instead of a format:
+  return getSchemaType(schema) === 'string' && (schema.format === 'binary' || schema.format === 'base64' ||
+    typeof schema.contentMediaType === 'string' || schema.contentEncoding === 'base64')
+}
+
+const getSchemaType = function (schema) {
+  return SchemaConverter.getType(schema)
+}
+
+const isComplexArray = function (value) {
+  return value.some(item => item !== null && typeof item === 'object')
+}
+
+const formValue = function (value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value + ''
+}
+
+/**
+ * Gets the base URL constructed from the given openApi.
+ *
+ * For OpenAPI 3, the servers defined on the operation take precedence over
+ * those defined on the path item, which take precedence over the document's
+ * servers. Server variables are substituted with the values given in
+ * options.serverVariables, or else with their default (or first enum) value.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Optional: Key of the path
+ * @param  {string} method  Optional: Key of the method
+ * @param  {Object} options Optional: server, serverVariables and baseUrl
+ * @return {string}         Base URL
+ */
+const getBaseUrl = function (openApi, path, method, options) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+  // webhooks and callbacks are keyed by the full URL in their derived document:
+  if (typeof openApi[RECEIVER_TOKENS] !== 'undefined') {
+    return ''
+  }
+
+  const servers = getServers(openApi, path, method)
+  if (servers) {
+    const server = selectServer(servers, options.server)
+    return getServerUrl(server, options.serverVariables, options.baseUrl)
+  }
+
+  let baseUrl = ''
+  if (typeof openApi.schemes !== 'undefined') {
+    baseUrl += openApi.schemes[0]
+  } else {
+    baseUrl += 'http'
+  }
+
+  if (openApi.basePath === '/') {
+    baseUrl += '://' + openApi.host
+  } else {
+    baseUrl += '://' + openApi.host + openApi.basePath
+  }
+
+  return baseUrl
+}
+
+/**
+ * Get the list of OpenAPI 3 Server objects applying to the given path and
+ * method, or null if none are defined.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Optional: Key of the path
+ * @param  {string} method  Optional: Key of the method
+ * @return {array}          List of Server objects
+ */
+const getServers = function (openApi, path, method) {
+  const pathItem = typeof path !== 'undefined' && openApi.paths ? getPathItem(openApi, path) : undefined
+  if (pathItem) {
+    const operation = typeof method !== 'undefined' ? pathItem[method] : undefined
+    if (operation && Array.isArray(operation.servers) && operation.servers.length > 0) {
+      return operation.servers
+    }
+    if (Array.isArray(pathItem.servers) && pathItem.servers.length > 0) {
+      return pathItem.servers
+    }
+  }
+  if (Array.isArray(openApi.servers) && openApi.servers.length > 0) {
+    return openApi.servers
+  }
+  return null
+}
+
+/**
+ * Select a Server object from the given list. The selection can be the index
+ * of the server, its URL, or (a case-insensitive match of) its description.
+ * Without a selection, the first server is used.
+ *
+ * @param  {array} servers              List of Server objects
+ * @param  {number|string} selection    Optional: Server index, URL or description
+ * @return {Object}                     The selected Server object
+ */
+const selectServer = function (servers, selection) {
+  if (typeof selection === 'undefined' || selection === null) {
+    return servers[0]
+  }
+
+  if (typeof selection === 'number') {
+    if (typeof servers[selection] === 'undefined') {
+      throw new Errors.OpenAPISnippetError('Invalid server: ' + selection, 'INVALID_SERVER')
+    }
+    return servers[selection]
+  }
+
+  const lowerSelection = String(selection).toLowerCase()
+  for (let i in servers) {
+    if (servers[i].url === selection) return servers[i]
+  }
+  for (let j in servers) {
+    if (typeof servers[j].description === 'string' &&
+      servers[j].description.toLowerCase() === lowerSelection) {
+      return servers[j]
+    }
+  }
+  for (let k in servers) {
+    if (typeof servers[k].description === 'string' &&
+      servers[k].description.toLowerCase().indexOf(lowerSelection) !== -1) {
+      return servers[k]
+    }
+  }
+  throw new Errors.OpenAPISnippetError('Invalid server: ' + selection, 'INVALID_SERVER')
+}
+
+/**
+ * Return the URL of the given Server object, with its variables substituted
+ * and, if it is relative, resolved against the given base URL.
+ *
+ * @param  {Object} server    OpenAPI Server object
+ * @param  {Object} variables Optional: Values for the server variables
+ * @param  {string} base      Optional: Base URL to resolve relative URLs against
+ * @return {string}           Server URL, without trailing slash
+ */
+const getServerUrl = function (server, variables, base) {
+  if (typeof variables === 'undefined') {
+    variables = {}
+  }
+  const definitions = server.variables || {}
+
+  let url = server.url.replace(/{([^}]+)}/g, function (match, name) {
+    if (typeof variables[name] !== 'undefined') {
+      return variables[name] + ''
+    }
+    const definition = definitions[name]
+    if (definition) {
+      if (typeof definition.default !== 'undefined') {
+        return definition.default + ''
+      }
+      if (Array.isArray(definition.enum) && definition.enum.length > 0) {
+        return definition.enum[0] + ''
+      }
+    }
+    return match
+  })
+
+  if (typeof base === 'string' && !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+    url = new URL(url, base).href
+  }
+
+  return url.replace(/\/+$/, '')
+}
+
+/**
+ * Get array of objects describing the query parameters for a path and method
+ * pair described in the given OpenAPI document.
+ *
+ * @param  {Object} openApi OpenApi document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} values  Optional: query parameter values to use in the snippet if present
+ * @param  {Object} options Optional: name of the example to use and placeholder strategy
+ * @return {array}          List of objects describing the query strings
+ */
+const getQueryStrings = function (openApi, path, method, values, options) {
+  // Set the optional parameter if it's not provided
+  if (typeof values === 'undefined') {
+    values = {}
+  }
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+
+  const queryStrings = []
+
+  const parameters = getParameters(openApi, path, method)
+  for (let i in parameters) {
+    const param = parameters[i]
+    let schema = typeof param.schema !== 'undefined' ? param.schema : getParameterSchema(openApi, param)
+    if (typeof schema !== 'undefined' && typeof schema['$ref'] === 'string') {
+      schema = getParameterSchema(openApi, param)
+      if (typeof getSchemaType(schema) === 'undefined') { // many schemas don't have an explicit type
+        schema = Object.assign({}, schema, {type: 'object'})
+      }
+    }
+    if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'query') {
+      let value = getParameterExample(openApi, param, schema, options)
+      if (typeof values[param.name] !== 'undefined') {
+        value = values[param.name]
+      } else if (typeof value === 'undefined') {
+        value = getQueryPlaceholder(openApi, param, schema, options)
+      }
+
+      const pairs = ParameterSerializer.serializeQuery(param, value)
+      for (let j in pairs) {
+        // '_allowReserved' is a custom HAR field, see index.js:
+        if (param.allowReserved) pairs[j]._allowReserved = true
+        queryStrings.push(pairs[j])
+      }
+    }
+  }
+
+  return queryStrings
+}
+
+/**
+ * Get the placeholder for the missing value of the given query parameter.
+ * Arrays and objects get a structured placeholder, so that they are
+ * serialized following the style of the parameter: a list of one placeholder
+ * for its items, or an object of placeholders for its properties.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {Object} param   Resolved Parameter object
+ * @param  {Object} schema  Resolved schema of the parameter
+ * @param  {Object} options Generation options
+ * @return {any}            Placeholder
+ */
+const getQueryPlaceholder = function (openApi, param, schema, options) {
+  const type = param.type || getSchemaType(schema)
+  if (!ParameterSerializer.hasContent(param)) {
+    if (type === 'array') {
+      const items = resolveRef(openApi, typeof param.type !== 'undefined' ? param.items : (schema || {}).items) || {}
+      return [getPlaceholder({name: param.name, in: 'query', type: getSchemaType(items)}, options)]
+    }
+    const properties = type === 'object' ? SchemaConverter.getProperties(openApi, schema) : {}
+    if (Object.keys(properties).length > 0) {
+      const value = {}
+      for (let name in properties) {
+        const property = resolveRef(openApi, properties[name]) || {}
+        value[name] = getPlaceholder({name, in: 'query', type: getSchemaType(property)}, options)
+      }
+      return value
+    }
+  }
+  return getPlaceholder({name: param.name, in: 'query', type}, options)
+}
+
+/**
+ * Get array of objects describing the cookie parameters for a path and method
+ * pair described in the given OpenAPI document.
+ *
+ * @param  {Object} openApi OpenApi document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} values  Optional: cookie parameter values to use in the snippet if present
+ * @param  {Object} options Optional: name of the example to use and placeholder strategy
+ * @return {array}          List of objects describing the cookies
+ */
+const getCookies = function (openApi, path, method, values, options) {
+  if (typeof values === 'undefined') {
+    values = {}
+  }
+
+  const cookies = []
+  const parameters = getParameters(openApi, path, method)
+  for (let i in parameters) {
+    const param = parameters[i]
+    if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'cookie') {
+      const schema = getParameterSchema(openApi, param)
+      let value = getParameterExample(openApi, param, schema, options)
+      if (typeof values[param.name] !== 'undefined') {
+        value = values[param.name]
+      }
+      cookies.push({
+        name: param.name,
+        value: typeof value !== 'undefined'
+          ? serializeSimple(param, value, false)
+          : getPlaceholder({name: param.name, in: 'cookie', type: getSchemaType(schema) || 'string'}, options)
+      })
+    }
+  }
+
+  return cookies
+}
+
+/**
+ * Return the path with the parameters example values used if specified.
+ *
+ * @param  {Object} openApi OpenApi document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} values  Optional: path parameter values to use in the snippet if present
+ * @param  {Object} options Optional: name of the example to use and placeholder
+ *                          strategy; by default, the templates of parameters
+ *                          without value are kept
+ * @return {string}         Full path including example values
+ */
+const getFullPath = function (openApi, path, method, values, options) {
+  if (typeof values === 'undefined') {
+    values = {}
+  }
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+
+  let fullPath = path
+  const parameters = getParameters(openApi, path, method)
+  for (let i in parameters) {
+    const param = parameters[i]
+    if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'path') {
+      const schema = getParameterSchema(openApi, param)
+      let value = getParameterExample(openApi, param, schema, options)
+      if (typeof values[param.name] !== 'undefined') {
+        value = values[param.name]
+      }
+      if (typeof value !== 'undefined') { // only if the parameter has a value or example value
+        fullPath = fullPath.replace("{" + param.name + "}", ParameterSerializer.serializePath(param, value))
+      } else { // by default, the template is kept
+        fullPath = fullPath.replace("{" + param.name + "}", getPlaceholder({
+          name: param.name,
+          in: 'path',
+          type: param.type || getSchemaType(schema) || 'string',
+          default: '{' + param.name + '}'
+        }, options))
+      }
+    }
+  }
+  return fullPath
+}
+
+/**
+ * Get an array of objects describing the header for a path and method pair
+ * described in the given OpenAPI document.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} values  Optional: header parameter values (keyed by lower
+ *                          case name) to use in the snippet if present
+ * @param  {Object} options Optional: contentType of the payload, name of the
+ *                          example to use and placeholder strategy
+ * @param  {array} credentials  Optional: headers carrying the credentials
+ * @return {array}          List of objects describing the header
+ */
+const getHeadersArray = function (openApi, path, method, values, options, credentials) {
+  if (typeof values === 'undefined') {
+    values = {}
+  }
+
+  const headers = []
+  const pathObj = getOperation(openApi, path, method)
+
+  // 'accept' header, from the media types produced (v2) or the responses (v3):
+  const responseMediaType = selectMediaType(pathObj.produces || openApi.produces ||
+    getResponseMediaTypes(openApi, pathObj), options && options.accept)
+  if (responseMediaType !== null) {
+    headers.push({
+      name: 'accept',
+      value: responseMediaType
+    })
+  }
+
+  // 'content-type' header, from the media types consumed (v2) or the request body (v3):
+  const requestMediaType = typeof pathObj.requestBody !== 'undefined'
+    ? getRequestMediaType(resolveRef(openApi, pathObj.requestBody), options)
+    : getSwaggerRequestMediaType(openApi, path, method, options)
+  if (requestMediaType !== null) {
+    headers.push({
+      name: 'content-type',
+      value: requestMediaType
+    })
+  }
+
+  // headers defined in path object:
+  const parameters = getParameters(openApi, path, method)
+  for (let k in parameters) {
+    const param = parameters[k]
+    if (typeof param.in !== 'undefined' && param.in.toLowerCase() === 'header') {
+      const name = param.name.toLowerCase()
+      if (DERIVED_HEADERS.indexOf(name) !== -1) {
+        // OpenAPI 3 ignores these parameters, Swagger 2 folds them into the
+        // derived header, which only a given value overrides:
+        if (typeof openApi.openapi === 'string') continue
+        const derived = headers.concat(credentials || []).find(header => header.name.toLowerCase() === name)
+        if (typeof derived !== 'undefined') {
+          if (typeof values[name] !== 'undefined') {
+            derived.value = serializeSimple(param, values[name], param.explode === true)
+          }
+          continue
+        }
+      }
+
+      const schema = getParameterSchema(openApi, param)
+      let value = getParameterExample(openApi, param, schema, options)
+      if (typeof values[name] !== 'undefined') {
+        value = values[name]
+      }
+      headers.push({
+        name: param.name,
+        value: typeof value !== 'undefined'
+          ? serializeSimple(param, value, param.explode === true)
+          : getPlaceholder({name: param.name, in: 'header', type: param.type || getSchemaType(schema)}, options)
+      })
+    }
+  }
+
+  return headers
+}
+
+/**
+ * Get the headers, query parameters and cookies that carry the credentials
+ * required by the security requirements of the given path and method pair.
+ *
+ * The security requirements are alternatives: the one selected by
+ * options.securityRequirement (its index, defaulting to the first) is used,
+ * with all of the security schemes it combines. Credentials are taken from
+ * options.credentials, or else from options.securityPlaceholders, or else
+ * placeholders following options.placeholders, like REPLACE_BEARER_TOKEN by
+ * default.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} options Optional: securityRequirement, credentials and
+ *                          securityPlaceholders, the latter two mapping names
+ *                          of security schemes to values, and placeholders
+ * @return {Object}         Object with headers, queryString and cookies lists
+ */
+const getSecurity = function (openApi, path, method, options) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+  const credentials = options.credentials || {}
+  const placeholders = options.securityPlaceholders || {}
+  const security = {
+    headers: [],
+    queryString: [],
+    cookies: []
+  }
+
+  const index = options.securityRequirement || 0
+  const requirements = getSecurityRequirements(openApi, path, method)
+  const requirement = requirements[index] || {}
+  const schemes = getSecuritySchemes(openApi)
+
+  for (let name in requirement) {
+    const scheme = resolveRef(openApi, schemes[name])
+    if (!scheme || typeof scheme.type !== 'string') {
+      const tokens = Array.isArray(getOperation(openApi, path, method).security)
+        ? getPathTokens(openApi, path).concat(method, 'security', index, name)
+        : ['security', index, name]
+      throw new Errors.UnknownSecuritySchemeError(name, RefResolver.formatPointer(tokens))
+    }
+    const credential = typeof credentials[name] !== 'undefined' ? credentials[name] : undefined
+    const getSchemePlaceholder = function (defaultPlaceholder) {
+      if (typeof placeholders[name] !== 'undefined') {
+        return placeholders[name] + ''
+      }
+      return getPlaceholder({name, in: 'security', type: scheme.type, default: defaultPlaceholder}, options)
+    }
+
+    switch (scheme.type.toLowerCase()) {
+      case 'apikey': {
+        const apiKey = {
+          name: scheme.name,
+          value: typeof credential !== 'undefined' ? credential + '' : getSchemePlaceholder('REPLACE_KEY_VALUE')
+        }
+        switch ((scheme.in || 'header').toLowerCase()) {
+          case 'query':
+            security.queryString.push(apiKey)
+            break
+          case 'cookie':
+            security.cookies.push(apiKey)
+            break
+          default:
+            security.headers.push(apiKey)
+        }
+        break
+      }
+      case 'basic':
+        security.headers.push(getBasicAuthHeader(credential, getSchemePlaceholder('REPLACE_BASIC_AUTH')))
+        break
+      case 'http': {
+        // the scheme is required, but bearer is assumed for incomplete definitions:
+        const authScheme = (scheme.scheme || 'bearer').toLowerCase()
+        if (authScheme === 'basic') {
+          security.headers.push(getBasicAuthHeader(credential, getSchemePlaceholder('REPLACE_BASIC_AUTH')))
+        } else if (authScheme === 'bearer') {
+          security.headers.push(getBearerAuthHeader(credential, getSchemePlaceholder('REPLACE_BEARER_TOKEN')))
+        } else {
+          const schemeName = capitalize(authScheme)
+          security.headers.push({
+            name: 'Authorization',
+            value: schemeName + ' ' + (typeof credential !== 'undefined'
+              ? credential + ''
+              : getSchemePlaceholder('REPLACE_' + authScheme.toUpperCase().replace(/[^A-Z0-9]/g, '_') + '_CREDENTIALS'))
+          })
+        }
+        break
+      }
+      case 'oauth2':
+      case 'openidconnect':
+        security.headers.push(getBearerAuthHeader(credential, getSchemePlaceholder('REPLACE_BEARER_TOKEN')))
+        break
+    }
+  }
+
+  return security
+}
+
+/**
+ * Get the placeholder for a value that is missing, following the placeholder
+ * strategy of options.placeholders:
+ *  - 'env': reference to an environment variable named after the parameter
+ *    or security scheme, e.g., '$PET_ID' for 'petId'
+ *  - 'template': template named after the parameter or security scheme,
+ *    e.g., '{{petId}}'
+ *  - a function receiving the description of the value and returning the
+ *    placeholder, or undefined for the default placeholder
+ * Without a strategy, the default placeholder is used, e.g., SOME_STRING_VALUE.
+ * Placeholders following a strategy are added to the list of placeholders
+ * used while building the HAR Request object.
+ *
+ * @param  {Object} info    Description of the value: name of the parameter or
+ *                          security scheme, in ('path', 'query', 'header',
+ *                          'cookie', 'formData' or 'security'), type, and the
+ *                          default placeholder (optional for parameters)
+ * @param  {Object} options Optional: Generation options
+ * @return {string}         Placeholder
+ */
+const getPlaceholder = function (info, options) {
+  if (typeof info.default === 'undefined') {
+    info = Object.assign({}, info, {default: 'SOME_' + (info.type || 'string').toUpperCase() + '_VALUE'})
+  }
+  const strategy = options ? options.placeholders : undefined
+
+  let placeholder
+  if (strategy === 'env') {
+    placeholder = '$' + toEnvironmentVariable(info.name)
+  } else if (strategy === 'template') {
+    placeholder = '{{' + info.name + '}}'
+  } else if (typeof strategy === 'function') {
+    placeholder = strategy(Object.assign({}, info))
+  }
+  if (typeof placeholder === 'undefined' || placeholder === null) {
+    return info.default
+  }
+
+  placeholder += ''
+  const used = options[USED_PLACEHOLDERS]
+  if (Array.isArray(used) && used.indexOf(placeholder) === -1) {
+    used.push(placeholder)
+  }
+  return placeholder
+}
+
+/**
+ * Return the name of the environment variable for the given name, in upper
+ * snake case, e.g., 'PET_ID' for 'petId' and 'X_RATE_LIMIT' for 'X-Rate-Limit'.
+ *
+ * @param  {string} name  Name of a parameter or security scheme
+ * @return {string}       Name of the environment variable
+ */
+const toEnvironmentVariable = function (name) {
+  const variable = (name + '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase()
+  return /^[0-9]/.test(variable) || variable === '' ? '_' + variable : variable
+}
+
+/**
+ * Get the security requirements of the given path and method pair. Those of
+ * the operation override those of the document, also if they are empty.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @return {array}          List of alternative Security Requirement objects
+ */
+const getSecurityRequirements = function (openApi, path, method) {
+  const operation = getOperation(openApi, path, method)
+  if (Array.isArray(operation.security)) {
+    return operation.security
+  }
+  return Array.isArray(openApi.security) ? openApi.security : []
+}
+
+/**
+ * Get the security schemes of the security requirement selected by
+ * options.securityRequirement (defaulting to the first) for the given path
+ * and method pair.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {Object} options Optional: securityRequirement
+ * @return {Object}         Map of names to resolved Security Scheme objects,
+ *                          without unknown schemes
+ */
+const getRequiredSecuritySchemes = function (openApi, path, method, options) {
+  const requirement = getSecurityRequirements(openApi, path, method)[(options && options.securityRequirement) || 0] || {}
+  const schemes = getSecuritySchemes(openApi)
+  const required = {}
+  for (let name in requirement) {
+    const scheme = resolveRef(openApi, schemes[name])
+    if (scheme && typeof scheme.type === 'string') {
+      required[name] = scheme
+    }
+  }
+  return required
+}
+
+/**
+ * Get the HTTP Basic Authorization header for the given credentials, which
+ * are either 'username:password' or an object with username and password.
+ *
+ * @param  {string|Object} credential Optional: Credentials
+ * @param  {string} placeholder       Placeholder for missing credentials
+ * @return {Object}                   Header
+ */
+const getBasicAuthHeader = function (credential, placeholder) {
+  let value = placeholder
+  if (credential !== null && typeof credential === 'object') {
+    value = base64Encode((credential.username || '') + ':' + (credential.password || ''))
+  } else if (typeof credential !== 'undefined') {
+    value = base64Encode(credential + '')
+  }
+  return {
+    name: 'Authorization',
+    value: 'Basic ' + value
+  }
+}
+
+/**
+ * Get the Bearer Authorization header for the given token.
+ *
+ * @param  {string} credential  Optional: Token
+ * @param  {string} placeholder Placeholder for a missing token
+ * @return {Object}             Header
+ */
+const getBearerAuthHeader = function (credential, placeholder) {
+  return {
+    name: 'Authorization',
+    value: 'Bearer ' + (typeof credential !== 'undefined' ? credential + '' : placeholder)
+  }
+}
+
+const base64Encode = function (str) {
+  return Buffer.from(str, 'utf8').toString('base64')
+}
+
+const capitalize = function (str) {
+  return str.charAt(0).toUpperCase() + str.slice(1)
+}
+
+/**
+ * Return the security schemes defined in the given OpenAPI document.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @return {Object}         Map of names to Security Scheme objects
+ */
+const getSecuritySchemes = function (openApi) {
+  if (openApi.securityDefinitions) {
+    return openApi.securityDefinitions
+  }
+  return (openApi.components && openApi.components.securitySchemes) || {}
+}
+
+/**
+ * Get the information describing the operation of the given path and method
+ * pair.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @return {object}         Object with operationId, summary, description, tags
+ *                          and deprecated
+ */
+const getOperationInfo = function (openApi, path, method) {
+  const operation = getOperation(openApi, path, method)
+  return {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    description: operation.description || 'No description available',
+    tags: operation.tags || [],
+    deprecated: operation.deprecated === true
+  }
+}
+
+/**
+ * Determine whether the operation of the given path and method pair passes
+ * the filters given in the options.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} options includeTags, excludeTags, operationIds, paths
+ *                          (glob patterns) and skipDeprecated
+ * @return {boolean}
+ */
+const matchesFilters = function (openApi, path, method, options) {
+  const info = getOperationInfo(openApi, path, method)
+
+  if (options.skipDeprecated && info.deprecated) {
+    return false
+  }
+  if (Array.isArray(options.includeTags) &&
+    !info.tags.some(tag => options.includeTags.indexOf(tag) !== -1)) {
+    return false
+  }
+  if (Array.isArray(options.excludeTags) &&
+    info.tags.some(tag => options.excludeTags.indexOf(tag) !== -1)) {
+    return false
+  }
+  if (Array.isArray(options.operationIds) &&
+    options.operationIds.indexOf(info.operationId) === -1) {
+    return false
+  }
+  if (typeof options.paths !== 'undefined' &&
+    ![].concat(options.paths).some(pattern => globToRegExp(pattern).test(path))) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Create a regular expression from the given glob pattern, in which '*'
+ * matches within a path segment, '**' matches across segments, and '?'
+ * matches a single character.
+ *
+ * @param  {string} pattern Glob pattern, e.g., '/users/**'
+ * @return {RegExp}
+ */
+const globToRegExp = function (pattern) {
+  let regExp = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      regExp += '.*'
+      i++
+    } else if (char === '*') {
+      regExp += '[^/]*'
+    } else if (char === '?') {
+      regExp += '[^/]'
+    } else {
+      regExp += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp('^' + regExp + '$')
+}
+
+/**
+ * Produces array of HAR files for given OpenAPI document
+ *
+ * @param  {object}   openApi          OpenAPI document
+ * @param  {object}   options          Optional: Generation options, e.g., server selection
+ *                                     or filters (see matchesFilters). If continueOnError
+ *                                     is set, endpoints failing to translate have no HAR
+ *                                     but warnings instead. If callbacks is set, the
+ *                                     callbacks of every operation follow it, and if
+ *                                     webhooks is set, the webhooks follow the paths.
+ */
+const openApiToHarList = function (openApi, options) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+
+  openApi = RefResolver.bundle(openApi, options)
+
+  // iterate openApi and create har objects:
+  let harList = []
+  for (let path in openApi.paths) {
+    for (let method of getMethods(openApi, path)) {
+      if (!matchesFilters(openApi, path, method, options)) continue
+
+      const entry = createEntry(openApi, path, method, options)
+      harList.push(entry)
+      if (options.callbacks) {
+        harList = harList.concat(getCallbackEntries(openApi, path, method, entry.har, options))
+      }
+    }
+  }
+
+  if (options.webhooks) {
+    harList = harList.concat(getWebhookEntries(openApi, options))
+  }
+
+  return harList
+}
+
+/**
+ * Create the HAR list entry of the given path and method pair. In non-fatal
+ * mode (options.continueOnError), errors become warnings of the entry, which
+ * then has no HAR.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} options Generation options
+ * @param  {object} fields  Optional: Further fields of the entry
+ * @return {object}         HAR list entry
+ */
+const createEntry = function (openApi, path, method, options, fields) {
+  const warnings = []
+  let url = path
+  let har = null
+  try {
+    url = getBaseUrl(openApi, path, method, options) + path
+    har = buildHar(openApi, path, method, normalizeValues(), options, warnings)
+  } catch (err) {
+    if (!options.continueOnError) throw err
+    warnings.push(Errors.toWarning(err, RefResolver.formatPointer(getPathTokens(openApi, path).concat(method))))
+  }
+
+  const info = getOperationInfo(openApi, path, method)
+  const entry = Object.assign({
+    method: method.toUpperCase(),
+    path: path,
+    url: url,
+    description: info.description,
+    operationId: info.operationId,
+    summary: info.summary,
+    tags: info.tags,
+    deprecated: info.deprecated,
+    har: har,
+    warnings: warnings
+  }, fields)
+  // the path of webhooks and callbacks is only known in their derived document:
+  if (typeof openApi[RECEIVER_TOKENS] !== 'undefined') {
+    entry.document = openApi
+  }
+  return entry
+}
+
+/**
+ * Get the HAR list entries of the webhooks (OpenAPI 3.1) of the given
+ * document. Their requests are sent to options.webhookUrl, in which '{name}'
+ * is replaced by the name of the webhook. Filters apply, except for paths.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {object} options Generation options
+ * @return {array}          List of HAR list entries, with kind 'webhook' and name
+ */
+const getWebhookEntries = function (openApi, options) {
+  const filters = Object.assign({}, options, {paths: undefined})
+  const entries = []
+  for (let name in openApi.webhooks) {
+    const url = (options.webhookUrl || 'https://example.com/webhooks/{name}').replace('{name}', name)
+    const document = getReceiverDocument(openApi, url, openApi.webhooks[name], ['webhooks', name])
+    for (let method of getMethods(document, url)) {
+      if (!matchesFilters(document, url, method, filters)) continue
+      entries.push(createEntry(document, url, method, options, {kind: 'webhook', name}))
+    }
+  }
+  return entries
+}
+
+/**
+ * Get the HAR list entries of the callbacks of the operation of the given
+ * path and method pair. The runtime expressions in the URLs of the callbacks
+ * are resolved using the given request of the operation and its first
+ * success response.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @param  {string} method  Key of the method
+ * @param  {object} har     HAR Request object of the operation, or null
+ * @param  {object} options Generation options
+ * @return {array}          List of HAR list entries, with kind 'callback',
+ *                          name, expression and parent (method, path and
+ *                          operationId of the operation)
+ */
+const getCallbackEntries = function (openApi, path, method, har, options) {
+  const operation = getOperation(openApi, path, method)
+  if (!isPlainObject(operation.callbacks)) {
+    return []
+  }
+
+  const contextWarnings = []
+  let context
+  try {
+    context = getCallbackContext(openApi, path, method, har, options, contextWarnings)
+  } catch (err) {
+    if (!options.continueOnError) throw err
+    contextWarnings.push(Errors.toWarning(err))
+    context = {request: {}, response: {}}
+  }
+
+  const parent = {method: method.toUpperCase(), path, operationId: operation.operationId}
+  const entries = []
+  for (let name in operation.callbacks) {
+    const callback = resolveRef(openApi, operation.callbacks[name]) || {}
+    for (let expression in callback) {
+      if (/^x-/.test(expression)) continue
+      const url = RuntimeExpression.resolveTemplate(expression, context)
+      const document = getReceiverDocument(openApi, url, callback[expression],
+        getPathTokens(openApi, path).concat(method, 'callbacks', name, expression))
+      for (let callbackMethod of getMethods(document, url)) {
+        const entry = createEntry(document, url, callbackMethod, options, {kind: 'callback', name, expression, parent})
+        entry.warnings = contextWarnings.concat(entry.warnings)
+        entries.push(entry)
+      }
+    }
+  }
+  return entries
+}
+
+/**
+ * Get the context to evaluate the runtime expressions of callbacks with: the
+ * given request of the operation of the given path and method pair, and its
+ * first success response.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {string} path      Key of the path
+ * @param  {string} method    Key of the method
+ * @param  {object} har       HAR Request object of the operation, or null
+ * @param  {object} options   Generation options
+ * @param  {array}  warnings  List to add sampling failures of the response to
+ * @return {object}           Context, see RuntimeExpression.evaluate
+ */
+const getCallbackContext = function (openApi, path, method, har, options, warnings) {
+  const request = {header: {}, query: {}, path: {}}
+  const response = {header: {}}
+  const context = {method: method.toUpperCase(), request, response}
+
+  if (har !== null) {
+    har.headers.forEach(function (header) {
+      const name = header.name.toLowerCase()
+      if (typeof request.header[name] === 'undefined') request.header[name] = header.value
+    })
+    har.queryString.forEach(function (query) {
+      if (typeof request.query[query.name] === 'undefined') request.query[query.name] = query.value
+    })
+    request.path = getPathValues(path, har.url)
+    request.body = getPostDataValue(har.postData)
+    context.url = har.url + (har.queryString.length > 0 ? '?' + getSearch(har.queryString) : '')
+  }
+
+  const success = getSuccessResponse(getResponses(openApi, path, method, options, warnings))
+  if (typeof success !== 'undefined') {
+    context.statusCode = /^\d+$/.test(success.status) ? success.status : '200'
+    success.headers.forEach(function (header) {
+      response.header[header.name.toLowerCase()] = header.value
+    })
+    if (typeof success.body !== 'undefined') {
+      response.body = getPostDataValue({mimeType: success.mediaType, text: success.body})
+    }
+  }
+  return context
+}
+
+/**
+ * Get the values of the path parameters in the given URL, which ends with
+ * the given path template.
+ *
+ * @param  {string} path  Path template, e.g., '/pets/{id}'
+ * @param  {string} url   URL, e.g., 'https://example.com/pets/42'
+ * @return {object}       Values by name of the parameter, e.g., { id: '42' }
+ */
+const getPathValues = function (path, url) {
+  const names = []
+  const pattern = path.split(/{([^}]+)}/).map(function (part, i) {
+    if (i % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    names.push(part)
+    return '([^/]*)'
+  }).join('')
+
+  const values = {}
+  const match = new RegExp(pattern + '$').exec(url)
+  if (match) {
+    names.forEach(function (name, i) {
+      values[name] = decodeURIComponent(match[i + 1])
+    })
+  }
+  return values
+}
+
+/**
+ * Get the value of the given HAR postData: parsed JSON, the form parameters
+ * by name, or the text.
+ *
+ * @param  {object} postData  Optional: HAR postData object
+ * @return {any}              Value, or undefined if there is no postData
+ */
+const getPostDataValue = function (postData) {
+  if (!postData) {
+    return undefined
+  }
+  if (Array.isArray(postData.params)) {
+    const params = {}
+    postData.params.forEach(function (param) {
+      if (typeof params[param.name] === 'undefined') params[param.name] = param.value
+    })
+    return params
+  }
+  if (isJsonMediaType(postData.mimeType)) {
+    try {
+      return JSON.parse(postData.text)
+    } catch (err) {
+      // not JSON after all
+    }
+  }
+  return postData.text
+}
+
+/**
+ * Create a copy of the given OpenAPI document for a webhook or callback, in
+ * which its Path Item object is the only path, keyed by the URL its requests
+ * are sent to. JSON pointers into the Path Item object are created from the
+ * given tokens, see getPathTokens.
+ *
+ * @param  {object} openApi   OpenAPI document
+ * @param  {string} url       URL the requests are sent to
+ * @param  {object} pathItem  Path Item object (or reference) of the webhook or callback
+ * @param  {array}  tokens    Tokens of the JSON pointer to the Path Item object
+ * @return {object}           Derived OpenAPI document
+ */
+const getReceiverDocument = function (openApi, url, pathItem, tokens) {
+  return Object.assign({}, openApi, {paths: {[url]: pathItem}, [RECEIVER_TOKENS]: tokens})
+}
+
+/**
+ * Get the tokens of the JSON pointer to the Path Item object of the given
+ * path. For documents derived for webhooks and callbacks, these point to the
+ * webhook or callback in the original document.
+ *
+ * @param  {object} openApi OpenAPI document
+ * @param  {string} path    Key of the path
+ * @return {array}          Tokens, e.g., ['paths', '/pets']
+ */
+const getPathTokens = function (openApi, path) {
+  const tokens = openApi[RECEIVER_TOKENS]
+  return typeof tokens !== 'undefined' ? tokens.slice() : ['paths', path]
+}
+
+/**
+ * Find the path and method of the operation with the given operationId.
+ *
+ * @param  {object} openApi     OpenAPI document
+ * @param  {string} operationId ID of the operation, e.g., 'listPets'
+ * @param  {object} options     Optional: Options to resolve references with
+ * @return {object}             Object with path and method
+ */
+const findOperation = function (openApi, operationId, options) {
+  openApi = RefResolver.bundle(openApi, options)
+
+  const matches = []
+  for (let path in openApi.paths) {
+    for (let method of getMethods(openApi, path)) {
+      if (getOperation(openApi, path, method).operationId === operationId) {
+        matches.push({path, method})
+      }
+    }
+  }
+
+  if (matches.length === 0) {
+    throw new Errors.UnknownEndpointError('Unknown operationId: ' + operationId)
+  }
+  if (matches.length > 1) {
+    throw new Errors.OpenAPISnippetError('Duplicate operationId: ' + operationId + ' (used by ' +
+      matches.map(match => match.method.toUpperCase() + ' ' + match.path).join(', ') + ')',
+    'DUPLICATE_OPERATION_ID', RefResolver.formatPointer(['paths', matches[1].path, matches[1].method, 'operationId']))
+  }
+  return matches[0]
+}
+
+/**
+ * Returns the value referenced by the given Reference object, or the given
+ * value itself if it is no reference.
+ *
+ * @param  {object} openApi  OpenAPI document
+ * @param  {any} value       A Reference object or any other value
+ * @return {any}
+ */
+const resolveRef = function (openApi, value) {
+  return RefResolver.dereference(openApi, value)
+}
+
+module.exports = {
+  getAll: openApiToHarList,
+  getEndpoint: createHar,
+  findOperation,
+  getPathItem,
+  getMethods,
+  getExamples,
+  getSecurityRequirements,
+  getSuccessResponse,
+  capitalize,
+  validateValues: function (openApi, path, method, values, options) {
+    return validateValues(RefResolver.bundle(openApi, options), path, method, normalizeValues(values))
+  },
+  getRequiredSecuritySchemes: function (openApi, path, method, options) {
+    return getRequiredSecuritySchemes(RefResolver.bundle(openApi, options), path, method, options)
+  },
+  getBodyVariants: function (openApi, path, method, options) {
+    return getBodyVariants(RefResolver.bundle(openApi, options), path, method, options)
+  },
+  getResponses: function (openApi, path, method, options, warnings) {
+    return getResponses(RefResolver.bundle(openApi, options), path, method, options, warnings)
+  },
+  getOperation: function (openApi, path, method, options) {
+    return getOperation(RefResolver.bundle(openApi, options), path, method)
+  },
+  getOperationInfo: function (openApi, path, method, options) {
+    return getOperationInfo(RefResolver.bundle(openApi, options), path, method)
+  }
 }
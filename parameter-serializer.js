@@ -0,0 +1,247 @@
+/**
+ * Serializes parameter values according to the serialization rules of the
+ * OpenAPI Specification: 'style' and 'explode' (or else the media type of
+ * the 'content') in OpenAPI 3, and 'collectionFormat' in Swagger 2.
+ * See more:
+ *  - https://swagger.io/specification/#style-values
+ *  - https://swagger.io/specification/v2/#parameter-object
+ */
+
+const COLLECTION_DELIMITERS = {
+  csv: ',',
+  ssv: ' ',
+  tsv: '\t',
+  pipes: '|'
+}
+
+/**
+ * Serialize the given value of the given query parameter into a list of
+ * name / value pairs. The values are not percent-encoded.
+ *
+ * @param  {Object} param Resolved OpenAPI Parameter object
+ * @param  {any} value    Value of the parameter
+ * @return {array}        List of objects with name and value
+ */
+const serializeQuery = function (param, value) {
+  const name = param.name
+
+  if (hasContent(param)) {
+    return [{name, value: serializeContent(param, value)}]
+  }
+
+  if (typeof param.collectionFormat !== 'undefined' || (typeof param.type !== 'undefined' && typeof param.schema === 'undefined')) {
+    if (!Array.isArray(value)) {
+      return [{name, value: toString(value)}]
+    }
+    if (param.collectionFormat === 'multi') {
+      return value.map(item => ({name, value: toString(item)}))
+    }
+    const delimiter = COLLECTION_DELIMITERS[param.collectionFormat || 'csv'] || ','
+    return [{name, value: value.map(toString).join(delimiter)}]
+  }
+
+  const style = param.style || 'form'
+  const explode = typeof param.explode !== 'undefined' ? param.explode : style === 'form'
+
+  if (style === 'deepObject' && isObject(value)) {
+    return flattenDeepObject(name, value)
+  }
+
+  if (Array.isArray(value)) {
+    if (explode) {
+      return value.map(item => ({name, value: toString(item)}))
+    }
+    return [{name, value: value.map(toString).join(getDelimiter(style))}]
+  }
+
+  if (isObject(value)) {
+    if (explode && style === 'form') {
+      return Object.keys(value).map(key => ({name: key, value: toString(value[key])}))
+    }
+    return [{name, value: objectToPairs(value).join(getDelimiter(style))}]
+  }
+
+  return [{name, value: toString(value)}]
+}
+
+/**
+ * Serialize the given value of the given path parameter. The values are
+ * percent-encoded, the delimiters are not.
+ *
+ * @param  {Object} param Resolved OpenAPI Parameter object
+ * @param  {any} value    Value of the parameter
+ * @return {string}       Serialized value, to replace the path template with
+ */
+const serializePath = function (param, value) {
+  if (hasContent(param)) {
+    return encodeURIComponent(serializeContent(param, value))
+  }
+  if (typeof param.collectionFormat !== 'undefined' || (typeof param.type !== 'undefined' && typeof param.schema === 'undefined')) {
+    if (!Array.isArray(value)) {
+      return encode(value)
+    }
+    const delimiter = COLLECTION_DELIMITERS[param.collectionFormat || 'csv'] || ','
+    return value.map(encode).join(encodeURI(delimiter))
+  }
+
+  const style = param.style || 'simple'
+  const explode = param.explode === true
+  const name = encode(param.name)
+
+  if (style === 'label') {
+    if (Array.isArray(value)) {
+      return '.' + value.map(encode).join(explode ? '.' : ',')
+    }
+    if (isObject(value)) {
+      return '.' + (explode ? objectToAssignments(value).join('.') : objectToPairs(value).map(encode).join(','))
+    }
+    return '.' + encode(value)
+  }
+
+  if (style === 'matrix') {
+    if (Array.isArray(value)) {
+      if (explode) {
+        return value.map(item => ';' + name + '=' + encode(item)).join('')
+      }
+      return ';' + name + '=' + value.map(encode).join(',')
+    }
+    if (isObject(value)) {
+      if (explode) {
+        return objectToAssignments(value).map(assignment => ';' + assignment).join('')
+      }
+      return ';' + name + '=' + objectToPairs(value).map(encode).join(',')
+    }
+    return ';' + name + '=' + encode(value)
+  }
+
+  return serializeSimple(value, explode, encode)
+}
+
+/**
+ * Serialize the given value using the 'simple' style, as used for path
+ * parameters and headers.
+ *
+ * @param  {any} value          Value to serialize
+ * @param  {boolean} explode    Whether to explode objects into key=value pairs
+ * @param  {Function} encodeFn  Optional: Function encoding the single values
+ * @return {string}             Serialized value
+ */
+const serializeSimple = function (value, explode, encodeFn) {
+  encodeFn = encodeFn || toString
+  if (Array.isArray(value)) {
+    return value.map(encodeFn).join(',')
+  }
+  if (isObject(value)) {
+    if (explode) {
+      return Object.keys(value).map(key => encodeFn(key) + '=' + encodeFn(value[key])).join(',')
+    }
+    return objectToPairs(value).map(encodeFn).join(',')
+  }
+  return encodeFn(value)
+}
+
+/**
+ * Determine whether the given parameter describes its value with a media
+ * type ('content') instead of a schema.
+ *
+ * @param  {Object} param Resolved OpenAPI Parameter object
+ * @return {boolean}
+ */
+const hasContent = function (param) {
+  return isObject(param.content) && Object.keys(param.content).length > 0
+}
+
+/**
+ * Serialize the given value of the given parameter in the media type of its
+ * 'content': JSON media types as JSON, others as text. Strings are taken to
+ * be serialized already. The value is not percent-encoded.
+ *
+ * @param  {Object} param Resolved OpenAPI Parameter object with content
+ * @param  {any} value    Value of the parameter
+ * @return {string}       Serialized value
+ */
+const serializeContent = function (param, value) {
+  const mediaType = Object.keys(param.content)[0].split(';')[0].trim().toLowerCase()
+  if (typeof value !== 'string' && /^application\/(.+\+)?json$/.test(mediaType)) {
+    return JSON.stringify(value)
+  }
+  return toString(value)
+}
+
+/**
+ * Percent-encode the given query string component. Reserved characters (as
+ * defined by RFC 3986) are kept if allowReserved is set, except for '#', which
+ * would end the URL.
+ *
+ * @param  {string} str             Query string component
+ * @param  {boolean} allowReserved  Whether to keep reserved characters
+ * @return {string}                 Encoded component
+ */
+const encodeQueryComponent = function (str, allowReserved) {
+  const encoded = encodeURIComponent(str)
+  if (!allowReserved) {
+    return encoded.replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase())
+  }
+  return encoded.replace(/%(3A|2F|3F|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi, function (match) {
+    return decodeURIComponent(match)
+  })
+}
+
+const getDelimiter = function (style) {
+  switch (style) {
+    case 'spaceDelimited':
+      return ' '
+    case 'pipeDelimited':
+      return '|'
+    default:
+      return ','
+  }
+}
+
+const flattenDeepObject = function (prefix, value) {
+  let pairs = []
+  for (let key in value) {
+    const name = prefix + '[' + key + ']'
+    if (isObject(value[key])) {
+      pairs = pairs.concat(flattenDeepObject(name, value[key]))
+    } else if (Array.isArray(value[key])) {
+      pairs = pairs.concat(value[key].map(item => ({name, value: toString(item)})))
+    } else {
+      pairs.push({name, value: toString(value[key])})
+    }
+  }
+  return pairs
+}
+
+const objectToPairs = function (value) {
+  const pairs = []
+  for (let key in value) {
+    pairs.push(key, toString(value[key]))
+  }
+  return pairs
+}
+
+const objectToAssignments = function (value) {
+  return Object.keys(value).map(key => encode(key) + '=' + encode(value[key]))
+}
+
+const isObject = function (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+const toString = function (value) {
+  return isObject(value) || Array.isArray(value) ? JSON.stringify(value) : value + ''
+}
+
+const encode = function (value) {
+  return encodeURIComponent(toString(value))
+}
+
+module.exports = {
+  serializeQuery,
+  serializePath,
+  serializeSimple,
+  serializeContent,
+  hasContent,
+  encodeQueryComponent
+}
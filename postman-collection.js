@@ -0,0 +1,297 @@
+/**
+ * Exports the requests of an OpenAPI document as a Postman Collection v2.1,
+ * with a folder per tag. Credentials of the security schemes supported by
+ * Postman are moved from the requests into their 'auth', and placeholders
+ * become collection variables.
+ * See more:
+ *  - https://schema.postman.com/collection/json/v2.1.0/draft-07/docs/index.html
+ */
+const OpenAPIToHar = require('./openapi-to-har.js')
+const RefResolver = require('./ref-resolver.js')
+
+const SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+
+/**
+ * Create the Postman collection of the endpoints of the given OpenAPI
+ * document. Placeholders for missing values default to templates, e.g.,
+ * '{{petId}}', which are declared as collection variables.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {Object} options Optional: Generation options, e.g., filters
+ * @return {Object}         Postman collection
+ */
+const createCollection = function (openApi, options) {
+  options = Object.assign({placeholders: 'template'}, options)
+  openApi = RefResolver.bundle(openApi, options)
+
+  const info = openApi.info || {}
+  const collection = {
+    info: {
+      name: info.title || 'API',
+      schema: SCHEMA
+    },
+    item: []
+  }
+  if (info.description) collection.info.description = info.description
+  if (info.version) collection.info.version = info.version
+
+  const folders = []
+  const foldersByName = {}
+  const getFolder = function (name) {
+    if (typeof foldersByName[name] === 'undefined') {
+      const tag = (openApi.tags || []).find(tag => tag.name === name) || {}
+      foldersByName[name] = {name, item: []}
+      if (tag.description) foldersByName[name].description = tag.description
+      folders.push(foldersByName[name])
+    }
+    return foldersByName[name]
+  }
+  // folders follow the order of the document's tags:
+  for (let i in openApi.tags || []) {
+    getFolder(openApi.tags[i].name)
+  }
+
+  const untagged = []
+  const harList = OpenAPIToHar.getAll(openApi, options)
+  for (let i in harList) {
+    const entry = harList[i]
+    // endpoints that cannot be translated in non-fatal mode are left out:
+    if (entry.har === null) continue
+
+    const item = createItem(entry.document || openApi, entry, options)
+    if (entry.tags.length === 0) {
+      untagged.push(item)
+    }
+    for (let j in entry.tags) {
+      getFolder(entry.tags[j]).item.push(item)
+    }
+  }
+  collection.item = folders.filter(folder => folder.item.length > 0).concat(untagged)
+
+  const variables = getVariables(collection.item)
+  if (variables.length > 0) {
+    collection.variable = variables.map(name => ({key: name, value: '', type: 'string'}))
+  }
+  return collection
+}
+
+/**
+ * Create the Postman item of the given HAR list entry.
+ *
+ * @param  {Object} openApi OpenAPI document the entry stems from
+ * @param  {Object} entry   HAR list entry, see OpenAPIToHar.getAll
+ * @param  {Object} options Generation options
+ * @return {Object}         Postman item
+ */
+const createItem = function (openApi, entry, options) {
+  const har = {
+    headers: entry.har.headers.slice(),
+    queryString: entry.har.queryString.slice()
+  }
+  const auth = getAuth(OpenAPIToHar.getRequiredSecuritySchemes(openApi, entry.path, entry.method.toLowerCase(), options),
+    har, options)
+
+  const request = {
+    method: entry.har.method,
+    header: har.headers.map(header => ({key: header.name, value: header.value})),
+    url: getUrl(entry.har.url, har.queryString)
+  }
+  if (entry.har.cookies.length > 0) {
+    request.header.push({
+      key: 'Cookie',
+      value: entry.har.cookies.map(cookie => cookie.name + '=' + cookie.value).join('; ')
+    })
+  }
+  if (entry.har.postData) {
+    request.body = getBody(entry.har.postData)
+  }
+  if (auth !== null) {
+    request.auth = auth
+  }
+  if (entry.description && entry.description !== 'No description available') {
+    request.description = entry.description
+  }
+
+  return {
+    name: entry.summary || entry.operationId || entry.name || entry.method + ' ' + entry.path,
+    request
+  }
+}
+
+/**
+ * Get the Postman auth of the first of the given security schemes that
+ * Postman supports, and remove the credentials it carries from the given
+ * headers and query parameters. Other schemes, e.g., API keys in cookies,
+ * keep their credentials in the request.
+ *
+ * @param  {Object} schemes Map of names to Security Scheme objects
+ * @param  {Object} har     Lists of headers and queryString to remove from
+ * @param  {Object} options Generation options, with credentials
+ * @return {Object}         Postman auth, or null
+ */
+const getAuth = function (schemes, har, options) {
+  for (let name in schemes) {
+    const scheme = schemes[name]
+    const type = scheme.type.toLowerCase()
+    const authScheme = (scheme.scheme || 'bearer').toLowerCase()
+
+    if (type === 'apikey' && ['header', 'query'].indexOf((scheme.in || 'header').toLowerCase()) !== -1) {
+      const location = (scheme.in || 'header').toLowerCase()
+      const param = removeLast(location === 'query' ? har.queryString : har.headers, scheme.name)
+      return toAuth('apikey', {key: scheme.name, value: param ? param.value : '', in: location})
+    }
+    if (type === 'oauth2' || type === 'openidconnect' || (type === 'http' && authScheme === 'bearer')) {
+      const header = removeLast(har.headers, 'Authorization')
+      const token = header ? header.value.replace(/^Bearer /, '') : ''
+      return type === 'http' ? toAuth('bearer', {token}) : toAuth('oauth2', {accessToken: token, addTokenTo: 'header'})
+    }
+    if (type === 'basic' || (type === 'http' && authScheme === 'basic')) {
+      removeLast(har.headers, 'Authorization')
+      return toAuth('basic', getBasicCredentials(name, (options.credentials || {})[name]))
+    }
+  }
+  return null
+}
+
+/**
+ * Get the username and password of the given HTTP Basic credentials, which
+ * are either 'username:password' or an object with username and password.
+ * Missing credentials are templates named after the security scheme, e.g.,
+ * '{{basicAuth_username}}'.
+ *
+ * @param  {string} name              Name of the security scheme
+ * @param  {string|Object} credential Optional: Credentials
+ * @return {Object}                   Object with username and password
+ */
+const getBasicCredentials = function (name, credential) {
+  if (credential !== null && typeof credential === 'object') {
+    return {username: (credential.username || '') + '', password: (credential.password || '') + ''}
+  }
+  if (typeof credential !== 'undefined') {
+    const index = (credential + '').indexOf(':')
+    return index === -1
+      ? {username: credential + '', password: ''}
+      : {username: (credential + '').substring(0, index), password: (credential + '').substring(index + 1)}
+  }
+  return {username: '{{' + name + '_username}}', password: '{{' + name + '_password}}'}
+}
+
+/**
+ * Create a Postman auth of the given type, with the given attributes.
+ *
+ * @param  {string} type        Auth type, e.g., 'bearer'
+ * @param  {Object} attributes  Map of keys to values
+ * @return {Object}             Postman auth
+ */
+const toAuth = function (type, attributes) {
+  const auth = {type}
+  auth[type] = Object.keys(attributes).map(key => ({key, value: attributes[key], type: 'string'}))
+  return auth
+}
+
+/**
+ * Remove the last entry with the given name (case-insensitive) from the given
+ * list. Credentials are the last entries of HAR Request objects.
+ *
+ * @param  {array} list   List of objects with name and value
+ * @param  {string} name  Name of the entry
+ * @return {Object}       Removed entry, or undefined
+ */
+const removeLast = function (list, name) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].name.toLowerCase() === name.toLowerCase()) {
+      return list.splice(i, 1)[0]
+    }
+  }
+  return undefined
+}
+
+/**
+ * Get the Postman URL of the given URL and query parameters. Values are kept
+ * as they are, so that templates like '{{petId}}' stay intact.
+ *
+ * @param  {string} url         URL without query
+ * @param  {array} queryString  List of HAR query parameters
+ * @return {Object}             Postman URL
+ */
+const getUrl = function (url, queryString) {
+  const query = queryString.map(param => ({key: param.name, value: param.value}))
+  const result = {
+    raw: url + (query.length > 0 ? '?' + query.map(param => param.key + '=' + param.value).join('&') : '')
+  }
+
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^/:]*)(?::(\d+))?(.*)$/i.exec(url)
+  const path = match ? match[4] : url
+  if (match) {
+    result.protocol = match[1]
+    result.host = match[2].split('.')
+    if (typeof match[3] !== 'undefined') result.port = match[3]
+  }
+  result.path = path.split('/').filter(segment => segment !== '')
+  if (query.length > 0) {
+    result.query = query
+  }
+  return result
+}
+
+/**
+ * Get the Postman request body of the given HAR postData object.
+ *
+ * @param  {Object} postData  HAR postData object
+ * @return {Object}           Postman request body
+ */
+const getBody = function (postData) {
+  const type = postData.mimeType.split(';')[0].trim().toLowerCase()
+  if (type === 'application/x-www-form-urlencoded') {
+    return {
+      mode: 'urlencoded',
+      urlencoded: (postData.params || []).map(param => ({key: param.name, value: param.value}))
+    }
+  }
+  if (type === 'multipart/form-data') {
+    return {
+      mode: 'formdata',
+      formdata: (postData.params || []).map(function (param) {
+        const part = typeof param.fileName !== 'undefined'
+          ? {key: param.name, type: 'file', src: param.fileName}
+          : {key: param.name, value: param.value, type: 'text'}
+        if (param.contentType) part.contentType = param.contentType
+        return part
+      })
+    }
+  }
+
+  let language = 'text'
+  if (/json/.test(type)) {
+    language = 'json'
+  } else if (/xml$/.test(type)) {
+    language = 'xml'
+  }
+  return {
+    mode: 'raw',
+    raw: postData.text,
+    options: {raw: {language}}
+  }
+}
+
+/**
+ * Get the names of the variables used in the given items, e.g., 'petId' for
+ * '{{petId}}', in order of appearance.
+ *
+ * @param  {array} items  List of Postman items
+ * @return {array}        List of variable names
+ */
+const getVariables = function (items) {
+  const names = []
+  const pattern = /{{([^{}]+)}}/g
+  const str = JSON.stringify(items)
+  let match
+  while ((match = pattern.exec(str)) !== null) {
+    if (names.indexOf(match[1]) === -1) names.push(match[1])
+  }
+  return names
+}
+
+module.exports = {
+  createCollection
+}
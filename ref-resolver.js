@@ -0,0 +1,386 @@
+/**
+ * Resolves references ($ref) in OpenAPI documents, without mutating them.
+ *
+ * References to other files (e.g., './schemas/pet.yaml#/Pet') are bundled
+ * into a copy of the document: the referenced values are stored under the
+ * 'x-ext' key of the copy and the references are rewritten to local JSON
+ * pointers (e.g., '#/x-ext/schemas_pet.yaml_Pet'). Local references are then
+ * resolved lazily, so circular references stay intact.
+ *
+ * Other files are loaded from:
+ *  - options.documents: map of file locations to (parsed or raw) documents
+ *  - options.resolver: function (location, ref) returning a (parsed or raw) document
+ *  - the file system, relative to options.baseDir (Node.js only)
+ */
+const fs = require('fs')
+const pathUtil = require('path')
+const yaml = require('js-yaml')
+const {UnresolvableReferenceError} = require('./errors.js')
+
+const EXTERNAL_KEY = 'x-ext'
+
+// documents created by bundle or found to have local references only, which
+// need not be bundled (or walked) again:
+const bundledDocuments = new WeakSet()
+const localDocuments = new WeakSet()
+
+/**
+ * Return a copy of the given OpenAPI document in which all references to
+ * other files are replaced by local references. If the document does not
+ * reference other files, it is returned as is, as are documents returned by
+ * earlier calls. Documents are walked once to find references to other
+ * files, so they must not be changed in between calls.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {Object} options Optional: baseDir, documents and resolver
+ * @return {Object}         OpenAPI document with local references only
+ */
+const bundle = function (openApi, options) {
+  if (typeof options === 'undefined') {
+    options = {}
+  }
+  if (bundledDocuments.has(openApi) || localDocuments.has(openApi)) {
+    return openApi
+  }
+  if (!hasExternalRefs(openApi, new Set())) {
+    if (openApi !== null && typeof openApi === 'object') localDocuments.add(openApi)
+    return openApi
+  }
+
+  const context = {
+    options,
+    documents: {},
+    external: {},
+    keys: {}
+  }
+  const bundled = rewrite(openApi, '', [], context)
+  bundled[EXTERNAL_KEY] = Object.assign({}, bundled[EXTERNAL_KEY], context.external)
+  bundledDocuments.add(bundled)
+  return bundled
+}
+
+/**
+ * Determine whether the given value contains references to other files.
+ *
+ * @param  {any} value    Value to search
+ * @param  {Set} seen     Objects already visited
+ * @return {boolean}
+ */
+const hasExternalRefs = function (value, seen) {
+  if (value === null || typeof value !== 'object' || seen.has(value)) {
+    return false
+  }
+  seen.add(value)
+  if (typeof value['$ref'] === 'string' && !/^#/.test(value['$ref'])) {
+    return true
+  }
+  for (let key in value) {
+    if (hasExternalRefs(value[key], seen)) return true
+  }
+  return false
+}
+
+/**
+ * Copy the given value, rewriting references so that they point into the
+ * bundled document.
+ *
+ * @param  {any} value        Value to copy
+ * @param  {string} location  Location of the file the value stems from ('' for the root document)
+ * @param  {array} tokens     Tokens of the JSON pointer to the value within its file
+ * @param  {Object} context   Bundling state
+ * @return {any}              Copied value
+ */
+const rewrite = function (value, location, tokens, context) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => rewrite(item, location, tokens.concat(i), context))
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  const copy = {}
+  for (let key in value) {
+    if (key === '$ref' && typeof value[key] === 'string') {
+      copy[key] = rewriteRef(value[key], location, location + formatPointer(tokens), context)
+    } else {
+      copy[key] = rewrite(value[key], location, tokens.concat(key), context)
+    }
+  }
+  return copy
+}
+
+/**
+ * Return the local reference for the given reference string. Values in other
+ * files are loaded and added to the bundle on first use.
+ *
+ * @param  {string} ref       Reference string
+ * @param  {string} location  Location of the file containing the reference
+ * @param  {string} pointer   Pointer to the Reference object, for error messages
+ * @param  {Object} context   Bundling state
+ * @return {string}           Local reference string
+ */
+const rewriteRef = function (ref, location, pointer, context) {
+  const hashIndex = ref.indexOf('#')
+  const file = hashIndex === -1 ? ref : ref.substring(0, hashIndex)
+  const fragment = hashIndex === -1 ? '' : ref.substring(hashIndex + 1)
+
+  if (file === '' && location === '') {
+    return ref
+  }
+
+  const targetLocation = file === '' ? location : resolveLocation(location, file)
+  const id = targetLocation + '#' + fragment
+  if (typeof context.keys[id] !== 'undefined') {
+    return '#/' + EXTERNAL_KEY + '/' + context.keys[id]
+  }
+
+  const key = createKey(targetLocation, fragment, context)
+  context.keys[id] = key
+
+  const document = loadDocument(targetLocation, ref, pointer, context)
+  const target = getByPointer(document, fragment)
+  if (typeof target === 'undefined') {
+    throw new UnresolvableReferenceError(ref, pointer)
+  }
+  context.external[key] = rewrite(target, targetLocation, parsePointer(fragment), context)
+
+  return '#/' + EXTERNAL_KEY + '/' + key
+}
+
+/**
+ * Resolve the given file reference relative to the location of the file
+ * containing it.
+ *
+ * @param  {string} location  Location of the referencing file
+ * @param  {string} file      Referenced file
+ * @return {string}           Location of the referenced file
+ */
+const resolveLocation = function (location, file) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(file)) {
+    return file
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(location)) {
+    return new URL(file, location).href
+  }
+  // the path module of browsers may lack path.posix, so locations are
+  // resolved like the paths of URLs:
+  return normalizePath(location.substring(0, location.lastIndexOf('/') + 1) + file)
+}
+
+/**
+ * Normalize the given path with '/' as separator, removing '.' and resolving
+ * '..' segments, e.g., 'schemas/pet.yaml' for './schemas/../schemas/pet.yaml'.
+ *
+ * @param  {string} path  Path
+ * @return {string}       Normalized path
+ */
+const normalizePath = function (path) {
+  const absolute = path.charAt(0) === '/'
+  const segments = []
+  for (let segment of path.split('/')) {
+    if (segment === '' || segment === '.') {
+      continue
+    }
+    if (segment !== '..') {
+      segments.push(segment)
+    } else if (segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop()
+    } else if (!absolute) {
+      segments.push(segment)
+    }
+  }
+  return (absolute ? '/' : '') + segments.join('/') || '.'
+}
+
+/**
+ * Create a unique key under which a bundled value is stored.
+ *
+ * @param  {string} location  Location of the file containing the value
+ * @param  {string} fragment  JSON pointer to the value
+ * @param  {Object} context   Bundling state
+ * @return {string}
+ */
+const createKey = function (location, fragment, context) {
+  const base = (location + fragment).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '')
+  let key = base
+  let i = 1
+  while (Object.values(context.keys).indexOf(key) !== -1) {
+    key = base + '_' + i++
+  }
+  return key
+}
+
+/**
+ * Load and parse the document at the given location.
+ *
+ * @param  {string} location  Location of the document
+ * @param  {string} ref       Reference string that led to the document
+ * @param  {string} pointer   Pointer to the Reference object, for error messages
+ * @param  {Object} context   Bundling state
+ * @return {Object}           Parsed document
+ */
+const loadDocument = function (location, ref, pointer, context) {
+  if (typeof context.documents[location] !== 'undefined') {
+    return context.documents[location]
+  }
+
+  const options = context.options
+  let document
+  if (options.documents) {
+    for (let key in options.documents) {
+      if (key === location || resolveLocation('', key) === location) {
+        document = options.documents[key]
+        break
+      }
+    }
+  }
+  if (typeof document === 'undefined' && typeof options.resolver === 'function') {
+    document = options.resolver(location, ref)
+  }
+  if (typeof document === 'undefined' && typeof fs.readFileSync === 'function' &&
+    !/^[a-z][a-z0-9+.-]*:/i.test(location)) {
+    const fullPath = pathUtil.resolve(options.baseDir || '.', location)
+    try {
+      document = fs.readFileSync(fullPath, 'utf8')
+    } catch (err) {
+      throw new UnresolvableReferenceError(ref, pointer)
+    }
+  }
+  if (typeof document === 'undefined') {
+    throw new UnresolvableReferenceError(ref, pointer)
+  }
+
+  if (typeof document === 'string') {
+    document = parseDocument(document)
+  }
+  context.documents[location] = document
+  return document
+}
+
+/**
+ * Parse the given JSON or YAML string.
+ *
+ * @param  {string} str JSON or YAML string
+ * @return {Object}     Parsed document
+ */
+const parseDocument = function (str) {
+  try {
+    return JSON.parse(str)
+  } catch (err) {
+    return yaml.safeLoad(str)
+  }
+}
+
+/**
+ * Split the given JSON pointer into its unescaped tokens.
+ *
+ * @param  {string} pointer JSON pointer, with or without leading '#'
+ * @return {array}          List of tokens
+ */
+const parsePointer = function (pointer) {
+  pointer = pointer.replace(/^#/, '')
+  if (pointer === '') return []
+  return pointer.split('/').slice(1).map(function (token) {
+    return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~')
+  })
+}
+
+/**
+ * Create a JSON pointer from the given (unescaped) tokens.
+ *
+ * @param  {array} tokens List of tokens, e.g., ['paths', '/pets', 'get']
+ * @return {string}       JSON pointer with leading '#', e.g., '#/paths/~1pets/get'
+ */
+const formatPointer = function (tokens) {
+  return '#' + tokens.map(function (token) {
+    return '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+  }).join('')
+}
+
+/**
+ * Return the value the given JSON pointer points to in the given document.
+ *
+ * @param  {Object} document  Document to search
+ * @param  {string} pointer   JSON pointer, with or without leading '#'
+ * @return {any}              The value, or undefined if there is none
+ */
+const getByPointer = function (document, pointer) {
+  const tokens = parsePointer(pointer)
+  let value = document
+  for (let i = 0; i < tokens.length; i++) {
+    if (value === null || typeof value !== 'object') {
+      return undefined
+    }
+    value = value[tokens[i]]
+  }
+  return value
+}
+
+/**
+ * Return the value referenced in the given local reference string.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {string} ref     A local reference string, e.g., '#/definitions/Pet'
+ * @return {any}
+ */
+const resolveRef = function (openApi, ref) {
+  if (!/^#/.test(ref)) return undefined
+  return getByPointer(openApi, ref)
+}
+
+/**
+ * Follow references until a value that is not a reference is found. Returns
+ * the given value if it is not a reference.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @param  {any} value      Possibly a Reference object
+ * @return {any}
+ */
+const dereference = function (openApi, value) {
+  const seen = []
+  while (value !== null && typeof value === 'object' && typeof value['$ref'] === 'string') {
+    if (seen.indexOf(value['$ref']) !== -1) return undefined
+    seen.push(value['$ref'])
+    value = resolveRef(openApi, value['$ref'])
+  }
+  return value
+}
+
+/**
+ * Ensure that all local references within the given value, and within the
+ * values they reference, can be resolved.
+ *
+ * @param  {Object} openApi OpenAPI document, with local references only
+ * @param  {any} value      Value to check
+ * @param  {array} tokens   Tokens of the JSON pointer to the value
+ * @throws {UnresolvableReferenceError} For the first unresolvable reference
+ */
+const checkRefs = function (openApi, value, tokens) {
+  const seen = new Set()
+  const check = function (value, tokens) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) {
+      return
+    }
+    seen.add(value)
+    if (typeof value['$ref'] === 'string') {
+      const target = resolveRef(openApi, value['$ref'])
+      if (typeof target === 'undefined') {
+        throw new UnresolvableReferenceError(value['$ref'], formatPointer(tokens))
+      }
+      check(target, parsePointer(value['$ref']))
+    }
+    for (let key in value) {
+      check(value[key], tokens.concat(key))
+    }
+  }
+  check(value, tokens)
+}
+
+module.exports = {
+  bundle,
+  dereference,
+  resolveRef,
+  checkRefs,
+  formatPointer,
+  parseDocument
+}
@@ -0,0 +1,73 @@
+/**
+ * Evaluates the runtime expressions of OpenAPI 3 callbacks, e.g.,
+ * '{$request.body#/callbackUrl}', against a request and its response.
+ * See more:
+ *  - https://spec.openapis.org/oas/v3.0.3#runtime-expressions
+ */
+const RefResolver = require('./ref-resolver.js')
+
+/**
+ * Replace the runtime expressions in braces within the given template, e.g.,
+ * 'https://{$request.query.host}/events', by their values. A template that is
+ * a single expression without braces is evaluated as a whole. Expressions
+ * that cannot be evaluated are kept.
+ *
+ * @param  {string} template  Template, e.g., the key of a callback
+ * @param  {Object} context   Request and response, see evaluate
+ * @return {string}           Resolved template
+ */
+const resolveTemplate = function (template, context) {
+  if (template.charAt(0) === '$') {
+    const value = evaluate(template, context)
+    return typeof value !== 'undefined' ? toString(value) : template
+  }
+  return template.replace(/{(\$[^}]+)}/g, function (match, expression) {
+    const value = evaluate(expression, context)
+    return typeof value !== 'undefined' ? toString(value) : match
+  })
+}
+
+/**
+ * Evaluate the given runtime expression.
+ *
+ * @param  {string} expression  Runtime expression, e.g., '$request.header.X-Id'
+ * @param  {Object} context     Object with url, method, statusCode, request and
+ *                              response, the latter two with header (by lower
+ *                              case name), query and path (by name), and body
+ * @return {any}                Value, or undefined if it is not available
+ */
+const evaluate = function (expression, context) {
+  switch (expression) {
+    case '$url':
+      return context.url
+    case '$method':
+      return context.method
+    case '$statusCode':
+      return context.statusCode
+  }
+
+  const body = /^\$(request|response)\.body(#.*)?$/.exec(expression)
+  if (body) {
+    const message = context[body[1]] || {}
+    if (typeof body[2] === 'undefined' || typeof message.body === 'undefined') {
+      return message.body
+    }
+    return RefResolver.resolveRef(message.body, body[2])
+  }
+
+  const source = /^\$(request|response)\.(header|query|path)\.(.+)$/.exec(expression)
+  if (source) {
+    const values = (context[source[1]] || {})[source[2]] || {}
+    return values[source[2] === 'header' ? source[3].toLowerCase() : source[3]]
+  }
+  return undefined
+}
+
+const toString = function (value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value + ''
+}
+
+module.exports = {
+  resolveTemplate,
+  evaluate
+}
@@ -0,0 +1,196 @@
+/**
+ * Converts the schemas of OpenAPI 3.1 documents (JSON Schema 2020-12) into
+ * OpenAPI 3.0 schemas, as understood by openapi-sampler:
+ *  - a list of types becomes its first type other than 'null', and the schema
+ *    becomes nullable if 'null' is among the types
+ *  - a numeric exclusiveMinimum / exclusiveMaximum becomes the minimum /
+ *    maximum, with a boolean exclusiveMinimum / exclusiveMaximum
+ *  - the first of the examples becomes the example, if there is none
+ *  - a reference with sibling keywords becomes an allOf containing the
+ *    reference, so that the siblings are not ignored
+ * See more:
+ *  - https://spec.openapis.org/oas/v3.1.0#schema-object
+ */
+const RefResolver = require('./ref-resolver.js')
+
+// keywords whose values are data rather than schemas:
+const DATA_KEYWORDS = ['example', 'examples', 'enum', 'const', 'default']
+
+// keywords whose values map names to schemas, so that their keys may be
+// named like any keyword:
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions']
+
+// converted documents, by original document:
+const convertedDocuments = new WeakMap()
+
+/**
+ * Determine whether the given document is an OpenAPI 3.1 document.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @return {boolean}
+ */
+const isOpenApi31 = function (openApi) {
+  return openApi !== null && typeof openApi === 'object' &&
+    typeof openApi.openapi === 'string' && /^3\.1\./.test(openApi.openapi)
+}
+
+/**
+ * Return a copy of the given OpenAPI 3.1 document in which all schemas are
+ * converted, so that references within converted schemas can be resolved
+ * against it. Copies are cached. Other documents are returned as is.
+ *
+ * @param  {Object} openApi OpenAPI document
+ * @return {Object}         Converted OpenAPI document
+ */
+const convertDocument = function (openApi) {
+  if (!isOpenApi31(openApi)) {
+    return openApi
+  }
+  if (!convertedDocuments.has(openApi)) {
+    convertedDocuments.set(openApi, convert(openApi, new Map()))
+  }
+  return convertedDocuments.get(openApi)
+}
+
+/**
+ * Return a converted copy of the given schema of an OpenAPI 3.1 document.
+ *
+ * @param  {Object} schema  Schema
+ * @return {Object}         Converted schema
+ */
+const convertSchema = function (schema) {
+  return convert(schema, new Map())
+}
+
+/**
+ * Copy the given value, converting the schemas within it. Values of data
+ * keywords (e.g., example) are kept as they are, unless the keyword is the
+ * name of a schema in a map like 'properties'.
+ *
+ * @param  {any} value      Value to copy
+ * @param  {Map} copies     Copies of the objects already visited
+ * @param  {string} key     Optional: Key of the value in its parent
+ * @param  {boolean} isMap  Optional: Whether the value maps names to schemas
+ * @return {any}            Converted copy
+ */
+const convert = function (value, copies, key, isMap) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (copies.has(value)) {
+    return copies.get(value)
+  }
+
+  if (Array.isArray(value)) {
+    const copy = []
+    copies.set(value, copy)
+    for (let i = 0; i < value.length; i++) {
+      copy.push(convert(value[i], copies))
+    }
+    return copy
+  }
+
+  const copy = {}
+  copies.set(value, copy)
+  for (let childKey in value) {
+    if (isMap) {
+      copy[childKey] = convert(value[childKey], copies, childKey, false)
+    } else if (DATA_KEYWORDS.indexOf(childKey) !== -1) {
+      copy[childKey] = value[childKey]
+    } else {
+      const isChildMap = SCHEMA_MAP_KEYWORDS.indexOf(childKey) !== -1 || (key === 'components' && childKey === 'schemas')
+      copy[childKey] = convert(value[childKey], copies, childKey, isChildMap)
+    }
+  }
+  if (!isMap) {
+    convertKeywords(copy)
+  }
+  return copy
+}
+
+/**
+ * Convert the keywords of the given copy of a schema in place.
+ *
+ * @param  {Object} schema  Copy of a schema
+ */
+const convertKeywords = function (schema) {
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null')
+    if (types.length < schema.type.length) {
+      schema.nullable = true
+    }
+    schema.type = types.length > 0 ? types[0] : 'null'
+  }
+
+  // the tighter of the inclusive and the exclusive bound is kept:
+  if (typeof schema.exclusiveMinimum === 'number') {
+    if (typeof schema.minimum !== 'number' || schema.exclusiveMinimum >= schema.minimum) {
+      schema.minimum = schema.exclusiveMinimum
+      schema.exclusiveMinimum = true
+    } else {
+      delete schema.exclusiveMinimum
+    }
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    if (typeof schema.maximum !== 'number' || schema.exclusiveMaximum <= schema.maximum) {
+      schema.maximum = schema.exclusiveMaximum
+      schema.exclusiveMaximum = true
+    } else {
+      delete schema.exclusiveMaximum
+    }
+  }
+
+  if (Array.isArray(schema.examples) && schema.examples.length > 0 && typeof schema.example === 'undefined') {
+    schema.example = schema.examples[0]
+  }
+
+  if (typeof schema['$ref'] === 'string' && Object.keys(schema).length > 1) {
+    schema.allOf = [{'$ref': schema['$ref']}].concat(Array.isArray(schema.allOf) ? schema.allOf : [])
+    delete schema['$ref']
+  }
+}
+
+/**
+ * Return the type of the given schema, which may be a list of types in
+ * OpenAPI 3.1: its first type other than 'null'.
+ *
+ * @param  {Object} schema  Optional: Schema
+ * @return {string}         Type, or undefined if the schema has none
+ */
+const getType = function (schema) {
+  if (!schema || typeof schema !== 'object') {
+    return undefined
+  }
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null')
+    return types.length > 0 ? types[0] : schema.type[0]
+  }
+  return schema.type
+}
+
+/**
+ * Return the properties of the given schema, including those of its 'allOf'
+ * schemas.
+ *
+ * @param  {Object} openApi OpenAPI document, used to resolve references
+ * @param  {Object} schema  Resolved schema
+ * @return {Object}         Map of property names to schemas
+ */
+const getProperties = function (openApi, schema) {
+  let properties = Object.assign({}, schema.properties)
+  if (Array.isArray(schema.allOf)) {
+    for (let i in schema.allOf) {
+      const subSchema = RefResolver.dereference(openApi, schema.allOf[i]) || {}
+      properties = Object.assign(properties, getProperties(openApi, subSchema))
+    }
+  }
+  return properties
+}
+
+module.exports = {
+  isOpenApi31,
+  convertDocument,
+  convertSchema,
+  getType,
+  getProperties
+}
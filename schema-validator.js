@@ -0,0 +1,255 @@
+/**
+ * Validates values against the schemas of parameters, as given to
+ * getEndpointSnippets. Values end up as strings in requests, so strings are
+ * accepted for numbers and booleans if they can be parsed, and single values
+ * for arrays. Keywords of OpenAPI 3.1 (JSON Schema 2020-12) schemas, like
+ * lists of types and numeric exclusiveMinimum, are supported as well.
+ *
+ * Supported keywords: type, nullable, enum, const, format, pattern,
+ * minLength, maxLength, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * multipleOf, items, minItems, maxItems, uniqueItems, properties, required,
+ * allOf, anyOf and oneOf. Other keywords and unknown formats are ignored.
+ */
+const RefResolver = require('./ref-resolver.js')
+
+// patterns of the formats of strings:
+const FORMATS = {
+  'date': /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  'date-time': /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[Tt ]([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  'uri': /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  'ipv4': /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+  'ipv6': /^(?=.*:)[0-9a-f:.]+$/i,
+  'byte': /^([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+}
+
+// ranges of the formats of integers:
+const INTEGER_FORMATS = {
+  'int32': [-2147483648, 2147483647],
+  'int64': [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+}
+
+/**
+ * Validate the given value against the given schema.
+ *
+ * @param  {Object} openApi OpenAPI document, to resolve references against
+ * @param  {Object} schema  Schema, possibly a Reference object
+ * @param  {any} value      Value to validate
+ * @return {array}          List of violations, each with the keyword, the
+ *                          location of the invalid value within the value
+ *                          (e.g., '[0]', '.name', or '' for the value itself)
+ *                          and a message, e.g., 'must be at most 100'. Empty
+ *                          if the value is valid.
+ */
+const validate = function (openApi, schema, value) {
+  return check(openApi, schema, value, '', [])
+}
+
+/**
+ * Validate the given value against the given schema, adding violations to
+ * the given list.
+ *
+ * @param  {Object} openApi     OpenAPI document
+ * @param  {Object} schema      Schema, possibly a Reference object
+ * @param  {any} value          Value to validate
+ * @param  {string} location    Location of the value within the validated
+ *                              value, e.g., '[0]' or '.name'
+ * @param  {array} violations   List of violations
+ * @return {array}              The list of violations
+ */
+const check = function (openApi, schema, value, location, violations) {
+  schema = RefResolver.dereference(openApi, schema)
+  if (schema === null || typeof schema !== 'object') {
+    return violations
+  }
+  const add = function (keyword, message) {
+    violations.push({keyword, location, message})
+  }
+
+  const types = getTypes(schema)
+  value = coerce(value, types)
+  if (value === null && (schema.nullable === true || types.indexOf('null') !== -1)) {
+    return violations
+  }
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    add('type', 'must be of type ' + types.join(' or '))
+    return violations
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => equals(item, value))) {
+    add('enum', 'must be one of ' + schema.enum.map(item => JSON.stringify(item)).join(', '))
+  }
+  if (typeof schema.const !== 'undefined' && !equals(schema.const, value)) {
+    add('const', 'must be ' + JSON.stringify(schema.const))
+  }
+
+  if (typeof value === 'string') {
+    checkString(schema, value, add)
+  } else if (typeof value === 'number') {
+    checkNumber(schema, value, add)
+  } else if (Array.isArray(value)) {
+    checkArray(schema, value, add)
+    for (let i = 0; i < value.length; i++) {
+      check(openApi, schema.items, value[i], location + '[' + i + ']', violations)
+    }
+  } else if (isPlainObject(value)) {
+    if (Array.isArray(schema.required)) {
+      for (let i in schema.required) {
+        if (typeof value[schema.required[i]] === 'undefined') {
+          add('required', 'must have the property ' + schema.required[i])
+        }
+      }
+    }
+    for (let name in schema.properties) {
+      if (typeof value[name] !== 'undefined') {
+        check(openApi, schema.properties[name], value[name], location + '.' + name, violations)
+      }
+    }
+  }
+
+  for (let i in schema.allOf || []) {
+    check(openApi, schema.allOf[i], value, location, violations)
+  }
+  for (let keyword of ['anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword]) &&
+      !schema[keyword].some(subSchema => check(openApi, subSchema, value, location, []).length === 0)) {
+      add(keyword, 'must match one of the allowed schemas')
+    }
+  }
+  return violations
+}
+
+const checkString = function (schema, value, add) {
+  if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+    add('minLength', 'must have at least ' + schema.minLength + ' characters')
+  }
+  if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+    add('maxLength', 'must have at most ' + schema.maxLength + ' characters')
+  }
+  if (typeof schema.pattern === 'string') {
+    let pattern
+    try {
+      pattern = new RegExp(schema.pattern, 'u')
+    } catch (err) {
+      // patterns JavaScript does not understand are ignored
+    }
+    if (pattern && !pattern.test(value)) {
+      add('pattern', 'must match the pattern ' + schema.pattern)
+    }
+  }
+  if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    add('format', 'must be a valid ' + schema.format)
+  }
+}
+
+const checkNumber = function (schema, value, add) {
+  // OpenAPI 3.0 uses boolean exclusiveMinimum / exclusiveMaximum, 3.1 numbers:
+  if (typeof schema.minimum === 'number') {
+    if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+      add('minimum', 'must be ' + (schema.exclusiveMinimum === true ? 'greater than ' : 'at least ') + schema.minimum)
+    }
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    add('exclusiveMinimum', 'must be greater than ' + schema.exclusiveMinimum)
+  }
+  if (typeof schema.maximum === 'number') {
+    if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+      add('maximum', 'must be ' + (schema.exclusiveMaximum === true ? 'less than ' : 'at most ') + schema.maximum)
+    }
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    add('exclusiveMaximum', 'must be less than ' + schema.exclusiveMaximum)
+  }
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 &&
+    Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+    add('multipleOf', 'must be a multiple of ' + schema.multipleOf)
+  }
+  const range = INTEGER_FORMATS[schema.format]
+  if (range && (!Number.isInteger(value) || value < range[0] || value > range[1])) {
+    add('format', 'must be a valid ' + schema.format)
+  }
+}
+
+const checkArray = function (schema, value, add) {
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    add('minItems', 'must have at least ' + schema.minItems + ' items')
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    add('maxItems', 'must have at most ' + schema.maxItems + ' items')
+  }
+  if (schema.uniqueItems === true && value.some((item, i) => value.findIndex(other => equals(other, item)) !== i)) {
+    add('uniqueItems', 'must not have duplicate items')
+  }
+}
+
+/**
+ * Return the types of the given schema, which may be a list of types in
+ * OpenAPI 3.1, or a Swagger 2 'file'.
+ *
+ * @param  {Object} schema  Schema
+ * @return {array}          List of types, empty if any type is allowed
+ */
+const getTypes = function (schema) {
+  const types = Array.isArray(schema.type) ? schema.type : (typeof schema.type === 'string' ? [schema.type] : [])
+  return types.filter(type => type !== 'file')
+}
+
+/**
+ * Convert the given string into the number or boolean it represents, if the
+ * given types call for it, and a single value into a list for arrays.
+ *
+ * @param  {any} value    Value
+ * @param  {array} types  List of types of the schema
+ * @return {any}          Converted value, or the value as is
+ */
+const coerce = function (value, types) {
+  if (types.length === 0 || types.some(type => hasType(value, type))) {
+    return value
+  }
+  if (typeof value === 'string') {
+    if ((types.indexOf('integer') !== -1 || types.indexOf('number') !== -1) &&
+      value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value)
+    }
+    if (types.indexOf('boolean') !== -1 && (value === 'true' || value === 'false')) {
+      return value === 'true'
+    }
+  }
+  if (types.indexOf('array') !== -1 && typeof value !== 'undefined' && !Array.isArray(value)) {
+    return [value]
+  }
+  return value
+}
+
+const hasType = function (value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number' && isFinite(value)
+    case 'string':
+      return typeof value === 'string'
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isPlainObject(value)
+    case 'null':
+      return value === null
+  }
+  return true
+}
+
+const equals = function (a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+const isPlainObject = function (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = {
+  validate
+}
@@ -0,0 +1,129 @@
+/**
+ * Serializes sample values to XML, following the 'xml' hints (name,
+ * namespace, prefix, attribute, wrapped) of the corresponding schema.
+ * See more:
+ *  - https://swagger.io/specification/#xml-object
+ */
+const RefResolver = require('./ref-resolver.js')
+const SchemaConverter = require('./schema-converter.js')
+
+/**
+ * Serialize the given value, which was sampled from the given schema, to an
+ * XML document.
+ *
+ * @param  {any} value      Sample value
+ * @param  {Object} schema  Schema the value was sampled from
+ * @param  {Object} openApi OpenAPI document, used to resolve references
+ * @return {string}         XML document
+ */
+const serialize = function (value, schema, openApi) {
+  let name = 'root'
+  if (schema && typeof schema['$ref'] === 'string') {
+    name = schema['$ref'].split('/').pop()
+  }
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    serializeElement(value, resolveSchema(schema, openApi), name, openApi, '', true)
+}
+
+/**
+ * Serialize the given value to an XML element.
+ *
+ * @param  {any} value          Value to serialize
+ * @param  {Object} schema      Resolved schema of the value
+ * @param  {string} name        Default name of the element
+ * @param  {Object} openApi     OpenAPI document
+ * @param  {string} indent      Indentation of the element
+ * @param  {boolean} isRoot     Whether the element is the document root
+ * @return {string}             XML element
+ */
+const serializeElement = function (value, schema, name, openApi, indent, isRoot) {
+  const xml = schema.xml || {}
+  const tagName = getTagName(xml, name)
+  let attributes = getNamespace(xml)
+
+  if (Array.isArray(value)) {
+    const items = resolveSchema(schema.items, openApi)
+    const itemName = (items.xml && items.xml.name) || name
+    if (!xml.wrapped && !isRoot) {
+      return value.map(item => serializeElement(item, items, itemName, openApi, indent, false)).join('\n')
+    }
+    const children = value.map(item => serializeElement(item, items, itemName, openApi, indent + '  ', false))
+    return indent + '<' + tagName + attributes + '>\n' + children.join('\n') + '\n' + indent + '</' + tagName + '>'
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const properties = SchemaConverter.getProperties(openApi, schema)
+    const children = []
+    for (let key in value) {
+      const propSchema = resolveSchema(properties[key], openApi)
+      const propXml = propSchema.xml || {}
+      if (propXml.attribute) {
+        attributes += ' ' + getTagName(propXml, key) + '="' + escape(value[key]) + '"'
+      } else {
+        children.push(serializeElement(value[key], propSchema, key, openApi, indent + '  ', false))
+      }
+    }
+    if (children.length === 0) {
+      return indent + '<' + tagName + attributes + '/>'
+    }
+    return indent + '<' + tagName + attributes + '>\n' + children.join('\n') + '\n' + indent + '</' + tagName + '>'
+  }
+
+  if (value === null || typeof value === 'undefined') {
+    return indent + '<' + tagName + attributes + '/>'
+  }
+  return indent + '<' + tagName + attributes + '>' + escape(value) + '</' + tagName + '>'
+}
+
+/**
+ * Resolve references in the given schema and merge the properties of its
+ * 'allOf' schemas.
+ *
+ * @param  {Object} schema  Schema, possibly a reference
+ * @param  {Object} openApi OpenAPI document
+ * @return {Object}         Resolved schema
+ */
+const resolveSchema = function (schema, openApi) {
+  schema = RefResolver.dereference(openApi, schema) || {}
+  if (!Array.isArray(schema.allOf)) {
+    return schema
+  }
+
+  const merged = Object.assign({}, schema, {properties: SchemaConverter.getProperties(openApi, schema)})
+  for (let i in schema.allOf) {
+    const subSchema = resolveSchema(schema.allOf[i], openApi)
+    if (typeof merged.xml === 'undefined' && typeof subSchema.xml !== 'undefined') {
+      merged.xml = subSchema.xml
+    }
+    if (typeof merged.type === 'undefined' && typeof subSchema.type !== 'undefined') {
+      merged.type = subSchema.type
+    }
+  }
+  delete merged.allOf
+  return merged
+}
+
+const getTagName = function (xml, name) {
+  const tagName = xml.name || name
+  return xml.prefix ? xml.prefix + ':' + tagName : tagName
+}
+
+const getNamespace = function (xml) {
+  if (typeof xml.namespace === 'undefined') {
+    return ''
+  }
+  return ' xmlns' + (xml.prefix ? ':' + xml.prefix : '') + '="' + escape(xml.namespace) + '"'
+}
+
+const escape = function (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+module.exports = {
+  serialize
+}